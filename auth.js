@@ -0,0 +1,153 @@
+// server/auth.js
+// Phone ownership and device tokens. /register texts a one-time code; only
+// once it is confirmed does the device get an API token, and only a device
+// token for a phone can sync or read that phone's data.
+//
+// Codes and tokens are stored as SHA-256 hashes. A token is
+// `<deviceId>.<secret>` so the device can be found without a table scan.
+
+import { createHash, randomBytes, randomInt, randomUUID, timingSafeEqual } from 'node:crypto';
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const RESEND_INTERVAL_MS = 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+const TOKEN_BYTES = 32;
+
+/**
+ * Start (or restart) verification of a phone number. Mutates state.
+ * @param {Object} state - The user's state from getUserState()
+ * @param {Object} profile - Registration fields to apply once confirmed
+ * @param {Date} [now]
+ * @returns {{code: string, expiresAt: string}|{error: string, retryAfter: number}}
+ */
+export function startVerification(state, profile, now = new Date()) {
+  const previous = state.verification;
+  if (previous && now - new Date(previous.sentAt) < RESEND_INTERVAL_MS) {
+    const retryAfter = Math.ceil((RESEND_INTERVAL_MS - (now - new Date(previous.sentAt))) / 1000);
+    return { error: 'a code was just sent; wait before asking for another', retryAfter };
+  }
+
+  const code = String(randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(now.getTime() + CODE_TTL_MS).toISOString();
+  state.verification = {
+    codeHash: hash(code),
+    sentAt: now.toISOString(),
+    expiresAt,
+    attempts: 0,
+    profile,
+  };
+  return { code, expiresAt };
+}
+
+/**
+ * Check a one-time code. Mutates state: counts the attempt, and clears the
+ * verification once it succeeds, expires or runs out of attempts.
+ * @returns {{profile: Object}|{error: string, status: number}}
+ */
+export function confirmVerification(state, code, now = new Date()) {
+  const verification = state.verification;
+  if (!verification) return { error: 'no code pending; register first', status: 400 };
+
+  if (now >= new Date(verification.expiresAt)) {
+    state.verification = null;
+    return { error: 'code expired; register again', status: 400 };
+  }
+
+  verification.attempts += 1;
+  if (!matches(hash(String(code ?? '')), verification.codeHash)) {
+    if (verification.attempts >= MAX_CODE_ATTEMPTS) {
+      state.verification = null;
+      return { error: 'too many attempts; register again', status: 429 };
+    }
+    return { error: 'incorrect code', status: 400 };
+  }
+
+  state.verification = null;
+  return { profile: verification.profile ?? {} };
+}
+
+/**
+ * Add a device to a user and issue its token. Mutates user.devices.
+ * The token is only ever returned here (and by rotateToken); it isn't stored.
+ * @returns {{token: string, device: Object}}
+ */
+export function issueToken(user, name = null, now = new Date()) {
+  const device = {
+    id: randomUUID(),
+    name,
+    tokenHash: null,
+    createdAt: now.toISOString(),
+    rotatedAt: null,
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+  const token = newToken(device);
+  user.devices = [...(user.devices ?? []), device];
+  return { token, device: publicDevice(device) };
+}
+
+/**
+ * The active device a token belongs to, or null.
+ * @param {Object|null} user - Profile from getUser()
+ * @param {string} token
+ */
+export function findDevice(user, token) {
+  const [deviceId] = String(token ?? '').split('.');
+  const device = user?.devices?.find(d => d.id === deviceId && !d.revokedAt);
+  return device && matches(hash(token), device.tokenHash) ? device : null;
+}
+
+/**
+ * Replace a device's token; the old one stops working. Mutates user.devices.
+ * @returns {string|null} the new token, or null if the device isn't active
+ */
+export function rotateToken(user, deviceId, now = new Date()) {
+  const device = user.devices?.find(d => d.id === deviceId && !d.revokedAt);
+  if (!device) return null;
+  device.rotatedAt = now.toISOString();
+  return newToken(device);
+}
+
+/**
+ * Revoke a device's token for good. Mutates user.devices.
+ * @returns {boolean} false if there was no such active device
+ */
+export function revokeDevice(user, deviceId, now = new Date()) {
+  const device = user.devices?.find(d => d.id === deviceId && !d.revokedAt);
+  if (!device) return false;
+  device.revokedAt = now.toISOString();
+  device.tokenHash = null;
+  return true;
+}
+
+/**
+ * Whether a bearer token is the operator's ADMIN_TOKEN. Admin routes are
+ * closed when ADMIN_TOKEN isn't set.
+ */
+export function isAdminToken(token) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || !token) return false;
+  return matches(hash(token), hash(adminToken));
+}
+
+/**
+ * A device as shown to clients — everything but the token hash.
+ */
+export function publicDevice({ tokenHash, ...device }) {
+  return device;
+}
+
+function newToken(device) {
+  const token = `${device.id}.${randomBytes(TOKEN_BYTES).toString('base64url')}`;
+  device.tokenHash = hash(token);
+  return token;
+}
+
+function hash(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+function matches(actualHash, expectedHash) {
+  if (!expectedHash || actualHash.length !== expectedHash.length) return false;
+  return timingSafeEqual(Buffer.from(actualHash), Buffer.from(expectedHash));
+}
@@ -1,168 +1,239 @@
 // server/baseline.js
 // Rolling statistical baseline using 30-day history.
-// Flags deviations at 2 standard deviations from the user's personal mean.
+// Deviations are flagged by the detectors in detectors.js (2 standard deviations by default).
 
-const DEVIATION_THRESHOLD = 2.0; // standard deviations
+import { detectAnomalies } from './detectors.js';
+import { METRICS } from './metrics.js';
+import { zonedParts, DEFAULT_TIME_ZONE } from './time.js';
+
+// Weekday numbering follows the snapshot's `weekday` field: 1=Sunday, 7=Saturday
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const STRATIFICATION_MODES = ['pooled', 'weekpart', 'weekday'];
+
+export const BASELINE_STRATIFY = STRATIFICATION_MODES.includes(process.env.BASELINE_STRATIFY)
+  ? process.env.BASELINE_STRATIFY
+  : 'weekpart';
 
 /**
- * Analyze a health snapshot against the user's baseline.
- * Returns an anomaly object describing what's off, or null if everything looks normal.
+ * Judge one day the way /sync does: a baseline from earlier days only (held
+ * still by a frozen drift), every detector, and the drift state carried
+ * forward. Nothing is stored or sent; that's up to the caller.
  *
- * @param {Object} snapshot - Today's health metrics from Apple Watch
- * @param {Object|null} baseline - Rolling 30-day stats, null if not enough history
- * @returns {Object|null} anomaly descriptor or null
+ * @param {Object} entry - Normalized snapshot (see snapshots.js)
+ * @param {Object} options
+ * @param {Array<Object>} options.snapshots - The user's stored snapshots, oldest first
+ * @param {Object|null} options.drift - The user's drift state
+ * @param {Object} [options.settings] - Per-user detector overrides
+ * @param {Object} [options.tuning] - Threshold factors learned from replies (see feedback.js)
+ * @param {string} [options.stratify] - See selectBaseline()
+ * @param {Date} options.now
+ * @param {string} options.timeZone
+ * @returns {{baseline: Object|null, anomalies: Array<Object>, drift: Object|null}}
  */
-export function analyzeSnapshot(snapshot, baseline) {
-  // Need at least 7 days of history before making judgments
-  if (!baseline || baseline.sampleCount < 7) {
-    return null;
-  }
+export function evaluateDay(entry, {
+  snapshots,
+  drift,
+  settings = {},
+  tuning = {},
+  stratify = BASELINE_STRATIFY,
+  now,
+  timeZone,
+}) {
+  // Compare against earlier days only — not a previous sync of this one
+  const history = snapshots.filter(s => !s.date || s.date < entry.date);
+  const baseline = selectBaseline(baselineWindow(history, drift), entry, { stratify, timeZone });
+  const anomalies = detectAnomalies(entry, baseline, { settings, tuning, history, now, timeZone });
+  return { baseline, anomalies, drift: nextDriftState(drift, anomalies, entry.timestamp) };
+}
 
-  const weekday = snapshot.weekday; // 1=Sunday, 7=Saturday
-  const isWeekday = weekday >= 2 && weekday <= 6;
-
-  // ── Check 1: Late wake time on a weekday ──────────────────────────────────
-  if (
-    isWeekday &&
-    snapshot.wake_time_hour != null &&
-    baseline.wakeTime.mean != null &&
-    baseline.wakeTime.stddev > 0
-  ) {
-    const z = zScore(snapshot.wake_time_hour, baseline.wakeTime.mean, baseline.wakeTime.stddev);
-    if (z > DEVIATION_THRESHOLD) {
-      const extraMinutes = Math.round((snapshot.wake_time_hour - baseline.wakeTime.mean) * 60);
-      return {
-        type: 'late_wake',
-        zScore: z,
-        context: {
-          isWeekday,
-          extraMinutes,
-          usualWakeHour: baseline.wakeTime.mean,
-          actualWakeHour: snapshot.wake_time_hour,
-        },
-      };
-    }
-  }
+// A stratum needs this many snapshots before it replaces the broader baseline
+const MIN_STRATUM_SAMPLES = 7;
 
-  // ── Check 2: Short sleep ──────────────────────────────────────────────────
-  if (
-    snapshot.sleep_duration_hours != null &&
-    baseline.sleepDuration.mean != null &&
-    baseline.sleepDuration.stddev > 0
-  ) {
-    const z = zScore(snapshot.sleep_duration_hours, baseline.sleepDuration.mean, baseline.sleepDuration.stddev);
-    if (z < -DEVIATION_THRESHOLD) {
-      const shortByHours = +(baseline.sleepDuration.mean - snapshot.sleep_duration_hours).toFixed(1);
-      return {
-        type: 'short_sleep',
-        zScore: z,
-        context: {
-          shortByHours,
-          usualHours: +baseline.sleepDuration.mean.toFixed(1),
-          actualHours: +snapshot.sleep_duration_hours.toFixed(1),
-        },
-      };
+/**
+ * Pick the most specific baseline that has enough history for this snapshot's day.
+ * Falls back from the snapshot's own weekday, to weekday/weekend, to the pooled
+ * baseline over every snapshot. The chosen stratum is reported as `stratum`.
+ *
+ * @param {Array<Object>} snapshots - Historical snapshots (each with an optional `weekday`)
+ * @param {Object} snapshot - Today's snapshot
+ * @param {Object} [options]
+ * @param {string} [options.stratify] - 'pooled', 'weekpart' (weekday vs weekend) or 'weekday'
+ * @param {number} [options.minSamples] - Snapshots a stratum needs before it is used
+ * @param {string} [options.timeZone] - The user's IANA time zone, for run hours
+ * @returns {Object|null} baseline stats with `stratum`, or null if not enough history
+ */
+export function selectBaseline(snapshots, snapshot, {
+  stratify = 'weekpart',
+  minSamples = MIN_STRATUM_SAMPLES,
+  timeZone = DEFAULT_TIME_ZONE,
+} = {}) {
+  for (const stratum of strataFor(snapshot.weekday, stratify)) {
+    if (stratum === 'all') {
+      const baseline = computeBaseline(snapshots, { timeZone });
+      return baseline && { ...baseline, stratum };
     }
-  }
 
-  // ── Check 3: Skipped run / workout ────────────────────────────────────────
-  // Only flag if user typically runs most days (>60% frequency)
-  if (
-    baseline.runFrequency != null &&
-    baseline.runFrequency > 0.6 &&
-    snapshot.running_minutes === 0
-  ) {
-    // Check what time it is — only flag after user's typical run window
-    const currentHour = new Date().getHours();
-    const typicalRunHour = baseline.typicalRunHour ?? 9;
-
-    if (currentHour > typicalRunHour + 3) {
-      return {
-        type: 'skipped_run',
-        context: {
-          runFrequency: baseline.runFrequency,
-          typicalRunHour,
-        },
-      };
-    }
+    const members = snapshots.filter(s => stratumOf(s.weekday, stratum));
+    const baseline = members.length >= minSamples ? computeBaseline(members, { timeZone }) : null;
+    if (baseline) return { ...baseline, stratum };
   }
+  return null;
+}
 
-  // ── Check 4: Elevated resting heart rate ──────────────────────────────────
-  if (
-    snapshot.resting_hr != null &&
-    baseline.restingHR.mean != null &&
-    baseline.restingHR.stddev > 0
-  ) {
-    const z = zScore(snapshot.resting_hr, baseline.restingHR.mean, baseline.restingHR.stddev);
-    if (z > DEVIATION_THRESHOLD) {
-      return {
-        type: 'elevated_hr',
-        zScore: z,
-        context: {
-          usualBPM: Math.round(baseline.restingHR.mean),
-          actualBPM: Math.round(snapshot.resting_hr),
-        },
-      };
-    }
-  }
+const BASELINE_LIMIT = 30; // days
 
-  // ── Check 5: Unusually short workout ─────────────────────────────────────
-  if (
-    snapshot.running_minutes > 0 &&
-    baseline.workoutDuration.mean != null &&
-    baseline.workoutDuration.stddev > 0
-  ) {
-    const z = zScore(snapshot.running_minutes, baseline.workoutDuration.mean, baseline.workoutDuration.stddev);
-    if (z < -DEVIATION_THRESHOLD) {
-      return {
-        type: 'short_workout',
-        zScore: z,
-        context: {
-          usualMinutes: Math.round(baseline.workoutDuration.mean),
-          actualMinutes: Math.round(snapshot.running_minutes),
-        },
-      };
-    }
-  }
+// Longest a drift may hold the baseline still before it is accepted as the new normal
+const MAX_DRIFT_FREEZE_DAYS = 14;
+
+/**
+ * Snapshots the baseline may learn from: the most recent 30 days. While a
+ * drift is frozen, days from the start of the drift onward are held out so the
+ * shift isn't absorbed, and the window stops rolling.
+ *
+ * @param {Array<Object>} snapshots - Stored snapshots, oldest first
+ * @param {Object|null} drift - The user's drift state from nextDriftState()
+ * @returns {Array<Object>}
+ */
+export function baselineWindow(snapshots, drift) {
+  if (!drift?.frozen || !drift.since) return snapshots.slice(-BASELINE_LIMIT);
+  const since = new Date(drift.since).getTime();
+  return snapshots
+    .filter(s => !(new Date(s.timestamp ?? s.date).getTime() >= since))
+    .slice(-BASELINE_LIMIT);
+}
 
-  return null; // Nothing to flag today — all quiet
+/**
+ * Carry a user's drift state forward after today's detection run.
+ * Freezing starts with the first sustained_drift anomaly, lasts while drift
+ * anomalies keep firing, and lifts after MAX_DRIFT_FREEZE_DAYS regardless.
+ * `checkedIn` belongs to the run that started at `since` and ends with it.
+ *
+ * @param {Object|null} previous - Stored drift state
+ * @param {Array<Object>} anomalies - Today's anomalies from detectAnomalies()
+ * @param {string} timestamp - Today's snapshot time (ISO 8601)
+ * @returns {{since: string, detectors: string[], frozen: boolean, checkedIn: boolean}|null}
+ */
+export function nextDriftState(previous, anomalies, timestamp) {
+  const drifts = anomalies.filter(a => a.type === 'sustained_drift');
+  if (!drifts.length) return null;
+
+  const since = previous?.since ?? drifts
+    .map(a => a.context.since ?? timestamp)
+    .sort((a, b) => new Date(a) - new Date(b))[0];
+  const frozenDays = (new Date(timestamp) - new Date(since)) / 86400000;
+
+  return {
+    since,
+    detectors: drifts.map(a => a.detector),
+    frozen: (previous?.frozen ?? true) && frozenDays <= MAX_DRIFT_FREEZE_DAYS,
+    checkedIn: previous?.checkedIn ?? false,
+  };
+}
+
+/**
+ * Anomalies that may still get a check-in. A drift is asked about once per
+ * run, on the first day a check-in goes out, not again every day it lasts.
+ *
+ * @param {Array<Object>} anomalies - Today's anomalies from evaluateDay()
+ * @param {Object|null} drift - Drift state from evaluateDay()
+ * @returns {Array<Object>}
+ */
+export function checkInCandidates(anomalies, drift) {
+  if (!drift?.checkedIn) return anomalies;
+  return anomalies.filter(anomaly => anomaly.type !== 'sustained_drift');
 }
 
 /**
  * Build a baseline stats object from an array of historical snapshots.
- * Called by store.js when returning baseline data.
+ * Called by selectBaseline for each candidate stratum.
+ * Run hours are read in the user's time zone.
  */
-export function computeBaseline(snapshots) {
+export function computeBaseline(snapshots, { timeZone = DEFAULT_TIME_ZONE } = {}) {
   if (snapshots.length < 3) return null;
 
-  const wakeHours = snapshots.map(s => s.wake_time_hour).filter(v => v != null);
-  const sleepDurations = snapshots.map(s => s.sleep_duration_hours).filter(v => v != null);
-  const restingHRs = snapshots.map(s => s.resting_hr).filter(v => v != null);
   const runDays = snapshots.filter(s => s.running_minutes > 0);
   const runMinutes = runDays.map(s => s.running_minutes);
 
-  // Estimate typical run hour from workout timestamps (simplified: use snapshot time)
-  const typicalRunHour = runDays.length > 0
-    ? Math.round(mean(runDays.map(s => new Date(s.timestamp).getHours())))
+  // Estimate typical run hour from workout timestamps (simplified: use snapshot time).
+  // Backfilled days may have only a date.
+  const runHours = runDays
+    .filter(s => s.timestamp)
+    .map(s => zonedParts(s.timestamp, timeZone)?.hour)
+    .filter(v => Number.isFinite(v));
+  const typicalRunHour = runHours.length > 0
+    ? Math.round(mean(runHours))
     : null;
 
   return {
     sampleCount: snapshots.length,
-    wakeTime: stats(wakeHours),
-    sleepDuration: stats(sleepDurations),
-    restingHR: stats(restingHRs),
+    // One entry per registered metric, e.g. sleepDuration, restingHR, runMinutes
+    ...Object.fromEntries(METRICS.map(metric => [
+      metric.stat,
+      stats(snapshots.map(s => s[metric.field]).filter(v => Number.isFinite(v))),
+    ])),
     workoutDuration: stats(runMinutes),
     runFrequency: snapshots.length > 0 ? runDays.length / snapshots.length : 0,
     typicalRunHour,
   };
 }
 
-// ── Math helpers ──────────────────────────────────────────────────────────────
+export const SCORING_METHODS = ['standard', 'robust', 'ewma'];
+
+// Scales the median absolute deviation to match a normal distribution's stddev
+const MAD_SCALE = 1.4826;
+
+/**
+ * Center and spread of one metric's history under a scoring method.
+ *  - standard: mean and population stddev
+ *  - robust:   median and scaled median absolute deviation (ignores a sick week)
+ *  - ewma:     exponentially weighted mean and stddev (adapts to gradual change)
+ *
+ * @param {Object} stat - Per-metric stats from computeBaseline()
+ * @param {Object} [options]
+ * @param {string} [options.method] - One of SCORING_METHODS
+ * @param {number} [options.alpha] - EWMA smoothing factor (0–1]
+ * @returns {{center: number, spread: number}}
+ */
+export function centerAndSpread(stat, { method = 'standard', alpha = 0.2 } = {}) {
+  if (method === 'robust') {
+    const center = median(stat.values);
+    const mad = median(stat.values.map(v => Math.abs(v - center)));
+    return { center, spread: mad * MAD_SCALE };
+  }
+  if (method === 'ewma') {
+    return ewma(stat.values, alpha);
+  }
+  return { center: stat.mean, spread: stat.stddev };
+}
 
-function zScore(value, mean, stddev) {
-  return (value - mean) / stddev;
+// ── Stratum helpers ───────────────────────────────────────────────────────────
+
+// Candidate strata for a weekday, most specific first. Always ends with 'all'.
+function strataFor(weekday, stratify) {
+  if (!isValidWeekday(weekday) || stratify === 'pooled') return ['all'];
+  const weekpart = isWeekend(weekday) ? 'weekend' : 'weekday';
+  if (stratify === 'weekday') return [WEEKDAY_NAMES[weekday - 1], weekpart, 'all'];
+  return [weekpart, 'all'];
+}
+
+function stratumOf(weekday, stratum) {
+  if (!isValidWeekday(weekday)) return false;
+  if (stratum === 'weekend') return isWeekend(weekday);
+  if (stratum === 'weekday') return !isWeekend(weekday);
+  return WEEKDAY_NAMES[weekday - 1] === stratum;
+}
+
+function isValidWeekday(weekday) {
+  return Number.isInteger(weekday) && weekday >= 1 && weekday <= 7;
+}
+
+function isWeekend(weekday) {
+  return weekday === 1 || weekday === 7;
 }
 
+// ── Math helpers ──────────────────────────────────────────────────────────────
+
 function mean(arr) {
   return arr.reduce((a, b) => a + b, 0) / arr.length;
 }
@@ -174,6 +245,24 @@ function stddev(arr) {
 }
 
 function stats(arr) {
-  if (!arr.length) return { mean: null, stddev: null };
-  return { mean: mean(arr), stddev: stddev(arr) };
+  if (!arr.length) return { mean: null, stddev: null, count: 0, values: [] };
+  return { mean: mean(arr), stddev: stddev(arr), count: arr.length, values: arr };
+}
+
+function median(arr) {
+  const sorted = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Exponentially weighted mean and stddev — recent days count for more
+function ewma(arr, alpha) {
+  let m = arr[0];
+  let variance = 0;
+  for (const v of arr.slice(1)) {
+    const diff = v - m;
+    m += alpha * diff;
+    variance = (1 - alpha) * (variance + alpha * diff * diff);
+  }
+  return { center: m, spread: Math.sqrt(variance) };
 }
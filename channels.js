@@ -0,0 +1,191 @@
+// server/channels.js
+// Notification channels. Each user picks how Ember reaches them at
+// registration; the outbox hands every message to that user's channel.
+//
+// A channel is { address(user), send(address, message) } where
+// send() resolves to { sid, status } and rejects with an Error carrying an
+// HTTP-style `status` or `permanent: true` so the outbox knows whether to retry.
+
+import { createHmac } from 'node:crypto';
+import { lookup } from 'node:dns/promises';
+import { appendFile } from 'node:fs/promises';
+import { BlockList, isIP } from 'node:net';
+import { sendSMS } from './twilio.js';
+import { sendEmail } from './email.js';
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// A user's webhook URL must not point the server at itself or its network:
+// loopback, private, link-local (cloud metadata at 169.254.169.254) and
+// other non-public ranges. WEBHOOK_ALLOWED_HOSTS, if set, is the complete
+// list of hosts users may name instead. The server-wide WEBHOOK_URL is the
+// operator's, so it isn't checked.
+const PRIVATE_NETWORKS = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  // IPv4-mapped addresses (::ffff:127.0.0.1) are checked against the IPv4 list
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS ?? '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// `address` picks where this user is reached: phone, email or URL
+export const CHANNELS = {
+  sms: {
+    address: user => user.phone,
+    send: (to, { body }) => sendSMS(to, body),
+  },
+  email: {
+    address: user => user.email,
+    send: (to, { body }) => sendEmail(to, body),
+  },
+  webhook: {
+    address: user => user.webhookUrl ?? process.env.WEBHOOK_URL,
+    send: postWebhook,
+  },
+  console: {
+    address: user => user.phone,
+    send: writeLocal,
+  },
+};
+
+// For users who didn't choose. Set NOTIFY_CHANNEL=console to run without Twilio.
+export const DEFAULT_CHANNEL = CHANNELS[process.env.NOTIFY_CHANNEL] ? process.env.NOTIFY_CHANNEL : 'sms';
+
+// For texts that go by SMS whatever channel the user picked: one-time codes
+// prove the phone, and a trusted contact only agreed to texts. In local
+// development they go to the console like everything else.
+export const SMS_CHANNEL = DEFAULT_CHANNEL === 'console' ? 'console' : 'sms';
+
+// What a user may pick. Console is for local development and only
+// NOTIFY_CHANNEL selects it: a user who picked it would never hear from Ember
+// while their messages went to the server's output.
+const USER_CHANNELS = Object.keys(CHANNELS).filter(name => name !== 'console');
+
+/**
+ * The channel a user is reached on.
+ * @param {Object|null} user - Profile from getUser()
+ * @returns {string}
+ */
+export function channelFor(user) {
+  return USER_CHANNELS.includes(user?.channel) ? user.channel : DEFAULT_CHANNEL;
+}
+
+/**
+ * Check a channel choice from /register or /settings.
+ * @param {Object} profile - { channel?, email?, webhookUrl? }, merged with any stored profile
+ * @returns {string|null} an error message, or null if valid
+ */
+export function validateChannel({ channel, email, webhookUrl }) {
+  if (channel !== undefined && !USER_CHANNELS.includes(channel)) {
+    return `channel must be one of: ${USER_CHANNELS.join(', ')}`;
+  }
+  if (email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return 'email must be an email address';
+  }
+  if (webhookUrl !== undefined) {
+    const error = checkWebhookUrl(webhookUrl);
+    if (error) return error;
+  }
+  if (channel === 'email' && !email) return 'email required for the email channel';
+  if (channel === 'webhook' && !webhookUrl && !process.env.WEBHOOK_URL) {
+    return 'webhookUrl required for the webhook channel';
+  }
+  return null;
+}
+
+/**
+ * Send one message to a user on their channel.
+ * @param {Object} user - Profile from getUser() (at least { phone })
+ * @param {Object} message - { kind, body, ... } as queued in the outbox
+ * @returns {Promise<{channel: string, sid: string|null, status: string}>}
+ */
+export async function sendNotification(user, message) {
+  const channel = channelFor(user);
+  const address = CHANNELS[channel].address(user);
+  if (!address) {
+    throw Object.assign(new Error(`no ${channel} address on file`), { permanent: true });
+  }
+
+  const { sid = null, status } = await CHANNELS[channel].send(address, { ...message, phone: user.phone });
+  return { channel, sid, status };
+}
+
+async function postWebhook(url, { phone, kind, body, threadId = null }) {
+  // Checked again here: a stored URL may predate the rules, and a public name
+  // can resolve to a private address
+  if (url !== process.env.WEBHOOK_URL) {
+    const error = checkWebhookUrl(url) ?? await checkResolvedHost(new URL(url));
+    if (error) throw Object.assign(new Error(error), { permanent: true });
+  }
+
+  const payload = JSON.stringify({ phone, kind, body, threadId, sentAt: new Date().toISOString() });
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.WEBHOOK_SECRET) {
+    const signature = createHmac('sha256', process.env.WEBHOOK_SECRET).update(payload).digest('hex');
+    headers['X-Ember-Signature'] = `sha256=${signature}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: payload,
+    // A redirect could lead anywhere, including back inside the network
+    redirect: 'manual',
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw Object.assign(new Error(`webhook returned ${response.status}`), { status: response.status });
+  }
+  return { sid: response.headers.get('x-message-id'), status: 'delivered' };
+}
+
+async function writeLocal(to, { kind, body }) {
+  console.log(`[Ember] (console) To ${to} [${kind}]: "${body}"`);
+  if (process.env.NOTIFY_FILE) {
+    const line = JSON.stringify({ to, kind, body, at: new Date().toISOString() });
+    await appendFile(process.env.NOTIFY_FILE, `${line}\n`);
+  }
+  return { sid: null, status: 'delivered' };
+}
+
+// Why a user's webhook URL can't be used, or null if it can
+function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'webhookUrl must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'webhookUrl must be an http(s) URL';
+
+  if (WEBHOOK_ALLOWED_HOSTS.length) {
+    return WEBHOOK_ALLOWED_HOSTS.includes(url.hostname) ? null : 'webhookUrl host is not on the allowed list';
+  }
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (host === 'localhost' || host.endsWith('.localhost') || (isIP(host) && isPrivateAddress(host))) {
+    return 'webhookUrl must not point at a local or private address';
+  }
+  return null;
+}
+
+async function checkResolvedHost(url) {
+  if (WEBHOOK_ALLOWED_HOSTS.length) return null;
+  const addresses = await lookup(url.hostname.replace(/^\[(.*)\]$/, '$1'), { all: true });
+  return addresses.some(({ address }) => isPrivateAddress(address))
+    ? `webhook host ${url.hostname} resolves to a local or private address`
+    : null;
+}
+
+function isPrivateAddress(address) {
+  return PRIVATE_NETWORKS.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
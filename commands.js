@@ -0,0 +1,181 @@
+// server/commands.js
+// SMS keyword commands. A message that is only a keyword (plus an optional
+// duration, e.g. "snooze 3 days") is handled here instead of getting a
+// conversational reply.
+
+import { describeDetectors } from './detectors.js';
+import { setContactAlerts } from './escalation.js';
+import { METRICS } from './metrics.js';
+import { DEFAULT_TIME_ZONE } from './time.js';
+
+// Carrier-standard opt-out/opt-in words map onto STOP and RESUME
+const KEYWORDS = {
+  stop: 'stop',
+  stopall: 'stop',
+  unsubscribe: 'stop',
+  cancel: 'stop',
+  end: 'stop',
+  quit: 'stop',
+  pause: 'pause',
+  snooze: 'snooze',
+  resume: 'resume',
+  start: 'resume',
+  unstop: 'resume',
+  status: 'status',
+  help: 'help',
+};
+
+const UNIT_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+const UNIT_ALIASES = {
+  h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+  d: 'day', day: 'day', days: 'day',
+  w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+};
+
+const SNOOZE_DEFAULT_MS = UNIT_MS.day;
+
+const COMMAND_PATTERN = /^([a-z]+)(?:\s+(?:for\s+)?(\d+|an?|one)\s*([a-z]+))?[\s.!]*$/;
+const CONTACT_PATTERN = /^contact\s+(on|off)[\s.!]*$/;
+
+// What each detector watches, in words, for STATUS
+const WATCH_LABELS = {
+  ...Object.fromEntries(METRICS.flatMap(metric =>
+    [metric.detector, metric.drift].filter(Boolean).map(name => [name, metric.label])
+  )),
+  skipped_run: 'runs',
+  workout_duration: 'runs',
+};
+
+const HELP_TEXT = 'Ember checks in when your routine looks off. Reply PAUSE, SNOOZE 3 days, RESUME, STATUS or STOP. '
+  + 'CONTACT OFF holds alerts to your trusted contact; CONTACT ON turns them back on.';
+
+/**
+ * Recognise a keyword command.
+ * @param {string} text - Inbound SMS body
+ * @returns {{name: string, durationMs: number|null}|null} null if it isn't a command
+ */
+export function parseCommand(text) {
+  const normalized = (text ?? '').trim().toLowerCase();
+  const contact = CONTACT_PATTERN.exec(normalized);
+  if (contact) return { name: `contact_${contact[1]}`, durationMs: null };
+
+  const match = COMMAND_PATTERN.exec(normalized);
+  if (!match) return null;
+
+  const [, word, amount, unit] = match;
+  const name = KEYWORDS[word];
+  if (!name) return null;
+  if (!amount) return { name, durationMs: null };
+
+  // Durations only make sense for PAUSE and SNOOZE
+  const unitName = UNIT_ALIASES[unit];
+  if (!unitName || (name !== 'pause' && name !== 'snooze')) return null;
+  const count = /^\d+$/.test(amount) ? Number(amount) : 1;
+  if (count < 1) return null;
+  return { name, durationMs: count * UNIT_MS[unitName] };
+}
+
+/**
+ * Apply a command to a user's state (mutates it) and build the reply.
+ * @param {{name: string, durationMs: number|null}} command - From parseCommand()
+ * @param {Object} state - The user's state from getUserState()
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.timeZone] - The user's IANA time zone, for dates in replies
+ * @returns {string|null} reply text, or null when nothing should be sent
+ */
+export function applyCommand(command, state, { now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  switch (command.name) {
+    case 'stop':
+      state.optedOut = true;
+      state.threadOpen = false;
+      // The carrier confirms opt-outs itself and blocks anything we send after
+      return null;
+
+    case 'pause':
+      state.paused = true;
+      state.pausedUntil = command.durationMs ? new Date(now.getTime() + command.durationMs).toISOString() : null;
+      return state.pausedUntil
+        ? `Paused until ${formatDate(state.pausedUntil, timeZone)}. Reply RESUME anytime.`
+        : 'Paused. Reply RESUME when you want check-ins again.';
+
+    case 'snooze':
+      state.paused = true;
+      state.pausedUntil = new Date(now.getTime() + (command.durationMs ?? SNOOZE_DEFAULT_MS)).toISOString();
+      return `Snoozed until ${formatDate(state.pausedUntil, timeZone)}.`;
+
+    case 'resume':
+      state.optedOut = false;
+      state.paused = false;
+      state.pausedUntil = null;
+      return 'Welcome back. Check-ins are on.';
+
+    case 'contact_off':
+    case 'contact_on':
+      return setContactAlerts(state, command.name === 'contact_on', now);
+
+    case 'status':
+      return describeStatus(state, now, timeZone);
+
+    case 'help':
+      return HELP_TEXT;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether check-ins are on hold (PAUSE or an unexpired SNOOZE).
+ * @param {Object} state - The user's state from getUserState()
+ * @param {Date} [now]
+ */
+export function isPaused(state, now = new Date()) {
+  if (!state.paused) return false;
+  if (!state.pausedUntil) return true;
+  return now < new Date(state.pausedUntil);
+}
+
+function describeStatus(state, now, timeZone) {
+  const config = describeDetectors(state.detectors);
+  const watching = [...new Set(
+    Object.entries(config)
+      .filter(([, settings]) => settings.enabled)
+      .map(([name]) => WATCH_LABELS[name])
+      .filter(Boolean)
+  )];
+
+  const parts = [
+    watching.length ? `Watching ${joinList(watching)}.` : 'Not watching anything right now.',
+  ];
+  if (isPaused(state, now)) {
+    parts.push(state.pausedUntil ? `Paused until ${formatDate(state.pausedUntil, timeZone)}.` : 'Paused.');
+  }
+  if (state.contact?.status === 'active') {
+    parts.push(state.contact.enabled ? 'Trusted contact alerts on.' : 'Trusted contact alerts off.');
+  }
+  parts.push(state.lastMessageDate
+    ? `Last check-in ${formatDate(state.lastMessageDate, timeZone)}.`
+    : 'No check-ins yet.');
+  return parts.join(' ');
+}
+
+function joinList(items) {
+  if (items.length < 2) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+function formatDate(isoString, timeZone) {
+  return new Date(isoString).toLocaleString('en-US', {
+    timeZone,
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
@@ -0,0 +1,383 @@
+// server/detectors.js
+// Detector registry — every anomaly check Ember runs.
+// Each detector is named and independently configurable (enabled, threshold,
+// minimum sample count, direction, scoring method). Per-user overrides are stored in store.js.
+// Every detector runs on every sync; what fires is ranked by severity, how far
+// past its threshold it is.
+
+import { centerAndSpread, SCORING_METHODS } from './baseline.js';
+import { METRICS } from './metrics.js';
+import { zonedParts, DEFAULT_TIME_ZONE } from './time.js';
+
+const DIRECTIONS = ['low', 'high', 'both'];
+
+// Caps the infinite z-score a zero-spread history can produce, so it still ranks
+const MAX_SCORE = 10;
+
+// The off-day composite only counts metrics at least this far out, and needs
+// at least this many of them
+const MIN_COMPOSITE_Z = 1;
+const MIN_COMPOSITE_METRICS = 2;
+
+// Every key a per-user override may set
+export const DETECTOR_SETTINGS = [
+  'enabled', 'threshold', 'minSamples', 'direction',
+  'method', 'minSpread', 'alpha', 'slack', 'minStreak', 'window',
+];
+
+/**
+ * Registered detectors. `types` maps the direction of a deviation to the
+ * anomaly type reported to callers (and used to pick a message).
+ */
+export const DETECTORS = [
+  // A z-score detector for each registered metric that has one (see metrics.js)
+  ...METRICS.filter(metric => metric.detector).map(metric => zScoreDetector({
+    name: metric.detector,
+    field: metric.field,
+    stat: metric.stat,
+    direction: metric.concern,
+    method: metric.method,
+    minSpread: metric.minSpread,
+    types: metric.types,
+    context: metric.context,
+  })),
+
+  // Only flag if the user typically runs most days. `threshold` here is the
+  // minimum run frequency (0–1), not a z-score.
+  {
+    name: 'skipped_run',
+    field: 'running_minutes',
+    types: { low: 'skipped_run' },
+    defaults: { enabled: true, threshold: 0.6, minSamples: 7, direction: 'low' },
+    detect({ snapshot, baseline, config, now, timeZone }) {
+      if (snapshot.running_minutes !== 0) return null;
+      if (baseline.sampleCount < config.minSamples) return null;
+      if (baseline.runFrequency == null || baseline.runFrequency <= config.threshold) return null;
+
+      // Only flag after the user's typical run window has passed, on their clock
+      const typicalRunHour = baseline.typicalRunHour ?? 9;
+      if (zonedParts(now, timeZone).hour <= typicalRunHour + 3) return null;
+
+      return {
+        type: 'skipped_run',
+        direction: 'low',
+        severity: severity(baseline.runFrequency, config.threshold),
+        context: {
+          runFrequency: baseline.runFrequency,
+          typicalRunHour,
+        },
+      };
+    },
+  },
+
+  zScoreDetector({
+    name: 'workout_duration',
+    field: 'running_minutes',
+    stat: 'workoutDuration',
+    direction: 'low',
+    method: 'robust',
+    minSpread: 5,
+    types: { low: 'short_workout', high: 'long_workout' },
+    applies: value => value > 0,
+    context: (value, usual) => ({
+      usualMinutes: Math.round(usual),
+      actualMinutes: Math.round(value),
+    }),
+  }),
+
+  // ── Sustained drift ──────────────────────────────────────────────────────
+  // Catch shifts that never cross 2σ on a single day, e.g. three 5.5-hour nights.
+
+  ...METRICS.filter(metric => metric.drift).map(metric => driftDetector({
+    name: metric.drift,
+    field: metric.field,
+    stat: metric.stat,
+    direction: metric.concern,
+    method: metric.method,
+    minSpread: metric.minSpread,
+  })),
+
+  // ── Composite ────────────────────────────────────────────────────────────
+  // A day can be off without any one metric crossing 2σ: a short night, a late
+  // wake and a raised resting HR together. `threshold` applies to the
+  // root-sum-square of the z-scores above, each in the direction its detector watches.
+
+  {
+    name: 'off_day',
+    types: { both: 'off_day' },
+    defaults: { enabled: true, threshold: 3, direction: 'both' },
+    detect({ scores, config }) {
+      const counted = scores.filter(({ zScore }) => Math.abs(zScore) >= MIN_COMPOSITE_Z);
+      if (counted.length < MIN_COMPOSITE_METRICS) return null;
+
+      const score = Math.sqrt(counted.reduce((total, { zScore }) => total + zScore ** 2, 0));
+      if (score < config.threshold) return null;
+
+      return {
+        type: 'off_day',
+        direction: 'both',
+        severity: severity(score, config.threshold),
+        context: {
+          score: +score.toFixed(2),
+          metrics: Object.fromEntries(counted.map(({ metric, zScore }) => [metric, +zScore.toFixed(2)])),
+        },
+      };
+    },
+  },
+];
+
+const DETECTORS_BY_NAME = new Map(DETECTORS.map(detector => [detector.name, detector]));
+
+export function getDetector(name) {
+  return DETECTORS_BY_NAME.get(name) ?? null;
+}
+
+/**
+ * Merge a detector's defaults with a user's stored overrides, then scale the
+ * threshold by what the user's replies have taught it (see feedback.js).
+ * @param {Object} detector - Entry from DETECTORS
+ * @param {Object} [overrides] - Per-user settings keyed by detector name
+ * @param {Object} [tuning] - Per-user feedback factors keyed by detector name
+ * @returns {Object} effective config (enabled, threshold, minSamples, direction, and
+ *   for z-score detectors method, minSpread, alpha; drift detectors add slack, minStreak, window)
+ */
+export function resolveDetectorConfig(detector, overrides = {}, tuning = {}) {
+  const config = { ...detector.defaults, ...(overrides[detector.name] ?? {}) };
+  const factor = tuning[detector.name]?.factor ?? 1;
+  return factor === 1 ? config : { ...config, threshold: +(config.threshold * factor).toFixed(3) };
+}
+
+/**
+ * Effective configuration of every registered detector for one user.
+ * `threshold` is the one in use; `configuredThreshold` is before feedback.
+ * @param {Object} [overrides] - Per-user settings keyed by detector name
+ * @param {Object} [tuning] - Per-user feedback factors keyed by detector name
+ * @returns {Object} config keyed by detector name
+ */
+export function describeDetectors(overrides = {}, tuning = {}) {
+  return Object.fromEntries(
+    DETECTORS.map(detector => [detector.name, {
+      ...resolveDetectorConfig(detector, overrides, tuning),
+      configuredThreshold: resolveDetectorConfig(detector, overrides).threshold,
+      feedbackFactor: tuning[detector.name]?.factor ?? 1,
+    }])
+  );
+}
+
+/**
+ * Check a settings patch for one detector.
+ * @returns {string|null} error message, or null if the settings are usable
+ */
+export function validateDetectorSettings(name, settings) {
+  if (!getDetector(name)) return `unknown detector: ${name}`;
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if (settings.threshold !== undefined && !(Number.isFinite(settings.threshold) && settings.threshold > 0)) {
+    return 'threshold must be a positive number';
+  }
+  if (settings.minSamples !== undefined && !(Number.isInteger(settings.minSamples) && settings.minSamples >= 2)) {
+    return 'minSamples must be an integer of at least 2';
+  }
+  if (settings.direction !== undefined && !DIRECTIONS.includes(settings.direction)) {
+    return `direction must be one of ${DIRECTIONS.join(', ')}`;
+  }
+  if (settings.method !== undefined && !SCORING_METHODS.includes(settings.method)) {
+    return `method must be one of ${SCORING_METHODS.join(', ')}`;
+  }
+  if (settings.minSpread !== undefined && !(Number.isFinite(settings.minSpread) && settings.minSpread >= 0)) {
+    return 'minSpread must be a non-negative number';
+  }
+  if (settings.alpha !== undefined && !(Number.isFinite(settings.alpha) && settings.alpha > 0 && settings.alpha <= 1)) {
+    return 'alpha must be a number in (0, 1]';
+  }
+  if (settings.slack !== undefined && !(Number.isFinite(settings.slack) && settings.slack >= 0)) {
+    return 'slack must be a non-negative number';
+  }
+  if (settings.minStreak !== undefined && !(Number.isInteger(settings.minStreak) && settings.minStreak >= 2)) {
+    return 'minStreak must be an integer of at least 2';
+  }
+  if (settings.window !== undefined && !(Number.isInteger(settings.window) && settings.window >= 2)) {
+    return 'window must be an integer of at least 2';
+  }
+  return null;
+}
+
+/**
+ * Run every enabled detector against a snapshot.
+ * Anomalies are returned most severe first; ties keep registry order.
+ *
+ * @param {Object} snapshot - Today's health metrics
+ * @param {Object|null} baseline - Result of selectBaseline(), null if not enough history
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Per-user detector overrides keyed by name
+ * @param {Object} [options.tuning] - Per-user feedback factors keyed by name
+ * @param {Array<Object>} [options.history] - Stored snapshots before today, oldest first (for drift)
+ * @param {Date} [options.now] - Evaluation time, for time-of-day checks
+ * @param {string} [options.timeZone] - The user's IANA time zone, for time-of-day checks
+ * @returns {Array<Object>} anomaly descriptors with a `severity` (1 at the
+ *   threshold, capped at 10), possibly empty
+ */
+export function detectAnomalies(snapshot, baseline, {
+  settings = {},
+  tuning = {},
+  history = [],
+  now = new Date(),
+  timeZone = DEFAULT_TIME_ZONE,
+} = {}) {
+  if (!baseline) return [];
+
+  const enabled = DETECTORS
+    .map(detector => ({ detector, config: resolveDetectorConfig(detector, settings, tuning) }))
+    .filter(({ config }) => config.enabled);
+
+  // Today's deviation on each metric, for the composite
+  const scores = enabled
+    .filter(({ detector }) => detector.score)
+    .map(({ detector, config }) => ({
+      metric: detector.field,
+      zScore: detector.score({ snapshot, baseline, config })?.zScore ?? null,
+      direction: config.direction,
+    }))
+    .filter(({ zScore, direction }) => zScore !== null && watches(direction, zScore));
+
+  const anomalies = [];
+  for (const { detector, config } of enabled) {
+    const anomaly = detector.detect({ snapshot, baseline, history, scores, config, now, timeZone });
+    if (anomaly) {
+      anomalies.push({
+        ...anomaly,
+        detector: detector.name,
+        context: { ...anomaly.context, stratum: baseline.stratum ?? 'all' },
+      });
+    }
+  }
+  return anomalies.sort((a, b) => b.severity - a.severity);
+}
+
+// ── Detector factories ────────────────────────────────────────────────────────
+
+// `minSpread` floors the spread so a near-constant history can't turn a tiny
+// change into an enormous z-score. With a floor of 0, any change from a
+// zero-variance history scores MAX_SCORE.
+function zScoreDetector({ name, field, stat, direction, method, minSpread, types, applies = () => true, context }) {
+  // Today's z-score whether or not it crosses the threshold; null without enough history
+  function score({ snapshot, baseline, config }) {
+    const value = snapshot[field];
+    const history = baseline[stat];
+    if (!Number.isFinite(value) || !applies(value)) return null;
+    if (!history || history.mean == null || history.count < config.minSamples) return null;
+
+    const { center, spread } = centerAndSpread(history, config);
+    const z = zScore(value, center, Math.max(spread, config.minSpread));
+    return { zScore: Math.max(-MAX_SCORE, Math.min(MAX_SCORE, z)), center, value };
+  }
+
+  return {
+    name,
+    field,
+    types,
+    defaults: { enabled: true, threshold: 2.0, minSamples: 7, direction, method, minSpread, alpha: 0.2 },
+    score,
+    detect({ snapshot, baseline, config }) {
+      const scored = score({ snapshot, baseline, config });
+      if (!scored || Math.abs(scored.zScore) < config.threshold) return null;
+      if (!watches(config.direction, scored.zScore)) return null;
+
+      const deviation = scored.zScore < 0 ? 'low' : 'high';
+      return {
+        type: types[deviation],
+        direction: deviation,
+        zScore: scored.zScore,
+        severity: severity(Math.abs(scored.zScore), config.threshold),
+        method: config.method,
+        context: context(scored.value, scored.center),
+      };
+    },
+  };
+}
+
+// One-sided CUSUM over the last `window` days, scored against the baseline.
+// Each day adds its z-score minus `slack`; the sum resets at zero. A drift is
+// reported once the sum reaches `threshold` over at least `minStreak` days.
+function driftDetector({ name, field, stat, direction, method, minSpread }) {
+  return {
+    name,
+    field,
+    types: { low: 'sustained_drift', high: 'sustained_drift' },
+    defaults: {
+      enabled: true,
+      threshold: 4,
+      minSamples: 7,
+      direction,
+      method,
+      minSpread,
+      alpha: 0.2,
+      slack: 0.5,
+      minStreak: 3,
+      window: 14,
+    },
+    detect({ snapshot, baseline, history, config }) {
+      const reference = baseline[stat];
+      if (!Number.isFinite(snapshot[field])) return null;
+      if (!reference || reference.mean == null || reference.count < config.minSamples) return null;
+
+      const { center, spread } = centerAndSpread(reference, config);
+      const scale = Math.max(spread, config.minSpread);
+      const days = [...history.slice(-(config.window - 1)), snapshot]
+        .filter(day => Number.isFinite(day[field]));
+
+      for (const deviation of ['low', 'high']) {
+        if (config.direction !== 'both' && config.direction !== deviation) continue;
+
+        const sign = deviation === 'high' ? 1 : -1;
+        let sum = 0;
+        let step = 0;
+        let streak = [];
+        for (const day of days) {
+          step = sign * zScore(day[field], center, scale) - config.slack;
+          sum = Math.max(0, sum + step);
+          streak = sum > 0 ? [...streak, day] : [];
+        }
+        // A drift is only active while today still leans the same way
+        if (step <= 0 || sum < config.threshold || streak.length < config.minStreak) continue;
+
+        const cumulativeDeviation = streak.reduce((total, day) => total + (day[field] - center), 0);
+        return {
+          type: 'sustained_drift',
+          direction: deviation,
+          cusum: sum,
+          severity: severity(sum, config.threshold),
+          context: {
+            metric: field,
+            streakDays: streak.length,
+            cumulativeDeviation: +cumulativeDeviation.toFixed(1),
+            averageDeviation: +(cumulativeDeviation / streak.length).toFixed(1),
+            usual: +center.toFixed(1),
+            since: streak[0].timestamp ?? streak[0].date ?? null,
+          },
+        };
+      }
+      return null;
+    },
+  };
+}
+
+// ── Math helpers ──────────────────────────────────────────────────────────────
+
+// How far past its threshold a detector's measure is: 1 at the threshold
+function severity(measure, threshold) {
+  return +Math.min(MAX_SCORE, measure / threshold).toFixed(2);
+}
+
+function watches(direction, z) {
+  return direction === 'both' || direction === (z < 0 ? 'low' : 'high');
+}
+
+function zScore(value, mean, stddev) {
+  if (stddev === 0) {
+    if (value === mean) return 0;
+    return value > mean ? Number.POSITIVE_INFINITY : Number.NEGATIVE_INFINITY;
+  }
+  return (value - mean) / stddev;
+}
@@ -0,0 +1,141 @@
+// server/digest.js
+// Opt-in weekly digest. Ember otherwise only speaks when a single day is off;
+// once a week, at a local time the user picks, it can say how the week went.
+
+import { computeBaseline } from './baseline.js';
+import { generateDigest } from './messages.js';
+import { queueMessage } from './outbox.js';
+import { isPaused } from './commands.js';
+import { localDate, zonedParts, parseClockTime, endOfLocalDay, DEFAULT_TIME_ZONE } from './time.js';
+import { getUser, getUserState, updateUserState, listMessages, listPhones } from './store.js';
+import { log } from './log.js';
+
+// Off until the user opts in; Sunday evening once they do
+export const DEFAULT_DIGEST = { enabled: false, weekday: 1, time: '18:00' };
+
+const POLL_INTERVAL_MS = 10 * 60 * 1000;
+const WEEK_DAYS = 7;
+const MIN_WEEK_DAYS = 4; // days with data in the week
+const MIN_BASELINE_DAYS = 7; // days before the week to compare against
+const SHORT_NIGHT_HOURS = 1; // below usual by at least this much
+
+let running = false;
+
+/**
+ * Summarise a user's last seven local days against the weeks before.
+ * @param {Array<Object>} snapshots - Stored snapshots, oldest first
+ * @param {Array<Object>} messages - Logged messages
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {string} options.timeZone
+ * @returns {Object|null} the week's facts, or null if there isn't enough data
+ */
+export function buildDigest(snapshots, messages, { now, timeZone }) {
+  const weekStart = localDate(new Date(now.getTime() - (WEEK_DAYS - 1) * 86400000), timeZone);
+  const week = snapshots.filter(s => s.date >= weekStart);
+  const before = snapshots.filter(s => s.date < weekStart);
+  if (week.length < MIN_WEEK_DAYS || before.length < MIN_BASELINE_DAYS) return null;
+
+  const usual = computeBaseline(before, { timeZone });
+  if (!usual) return null;
+
+  const sleepHours = week.map(s => s.sleep_duration_hours).filter(v => Number.isFinite(v));
+  const sleep = sleepHours.length && usual.sleepDuration.count
+    ? {
+      averageHours: round(average(sleepHours)),
+      usualHours: round(usual.sleepDuration.mean),
+      shortNights: sleepHours.filter(h => h <= usual.sleepDuration.mean - SHORT_NIGHT_HOURS).length,
+    }
+    : null;
+
+  const runDays = week.filter(s => Number.isFinite(s.running_minutes));
+  const runs = runDays.length
+    ? {
+      count: runDays.filter(s => s.running_minutes > 0).length,
+      usualCount: Math.round(usual.runFrequency * runDays.length),
+      minutes: Math.round(runDays.reduce((total, s) => total + s.running_minutes, 0)),
+    }
+    : null;
+
+  const checkIns = messages
+    .filter(m => m.direction === 'outbound' && m.kind === 'check_in')
+    .filter(m => localDate(m.createdAt, timeZone) >= weekStart)
+    .map(m => m.anomaly?.type)
+    .filter(Boolean);
+
+  if (!sleep && !runs) return null;
+  return { days: week.length, sleep, runs, checkIns };
+}
+
+/**
+ * Whether a user's digest is due by their schedule: opted in, their chosen
+ * weekday and past their chosen time. Reads only the profile, so most users
+ * are passed over without loading their state; whether this week's has
+ * already gone out is up to the caller.
+ */
+export function isDigestDue(user, now = new Date()) {
+  const digest = { ...DEFAULT_DIGEST, ...user?.digest };
+  if (!digest.enabled) return false;
+
+  const timeZone = user.timeZone ?? DEFAULT_TIME_ZONE;
+  const { weekday, hour, minute } = zonedParts(now, timeZone);
+  if (weekday !== digest.weekday) return false;
+  return hour * 60 + minute >= parseClockTime(digest.time);
+}
+
+/**
+ * Queue every digest that is due. A week without enough data is skipped
+ * (and not retried until next week).
+ * @returns {Promise<void>}
+ */
+export async function runDigests(now = new Date()) {
+  if (running) return;
+  running = true;
+  try {
+    for (const phone of listPhones()) {
+      const user = getUser(phone);
+      if (!isDigestDue(user, now)) continue;
+
+      const timeZone = user.timeZone ?? DEFAULT_TIME_ZONE;
+      const today = localDate(now, timeZone);
+      const state = getUserState(phone);
+      if (state.lastDigestDate === today) continue;
+
+      // Marked first, so a slow model call can't lead to a second digest
+      state.lastDigestDate = today;
+      updateUserState(phone, state);
+
+      const holding = state.optedOut || isPaused(state, now);
+      const week = holding ? null : buildDigest(state.baseline, listMessages(phone), { now, timeZone });
+      if (!week) {
+        log.info('Skipping digest', { phone, reason: holding ? 'opted out or paused' : 'not enough data' });
+        continue;
+      }
+
+      const body = await generateDigest(week);
+      queueMessage(phone, { kind: 'digest', body, expiresAt: endOfLocalDay(now, timeZone) }, now);
+      log.info('Queued digest', { phone, body });
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Check for due digests every ten minutes.
+ * @returns {NodeJS.Timeout}
+ */
+export function startDigests() {
+  runDigests().catch(err => log.error('Digest error', { err }));
+  return setInterval(() => {
+    runDigests().catch(err => log.error('Digest error', { err }));
+  }, POLL_INTERVAL_MS);
+}
+
+function average(values) {
+  return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+function round(value) {
+  return +value.toFixed(1);
+}
@@ -0,0 +1,36 @@
+// server/email.js
+// Sends check-ins by email over SMTP, for users who'd rather not get texts.
+
+import nodemailer from 'nodemailer';
+
+const FROM_ADDRESS = process.env.SMTP_FROM; // e.g. "Ember <ember@example.com>"
+const SUBJECT = 'Ember';
+
+// Created on first send; SMTP settings are only needed if someone uses email
+let transport = null;
+
+/**
+ * Send a single email to the user.
+ * @param {string} to - Recipient address
+ * @param {string} body - Message text, sent as plain text
+ * @returns {Promise<{sid: string, status: string}>} the SMTP message id, and 'sent'
+ */
+export async function sendEmail(to, body) {
+  transport ??= nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT ?? 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  try {
+    const info = await transport.sendMail({ from: FROM_ADDRESS, to, subject: SUBJECT, text: body });
+    return { sid: info.messageId, status: 'sent' };
+  } catch (err) {
+    // SMTP 4xx replies are temporary; 5xx (e.g. 550 no such mailbox) are not
+    if (err.responseCode >= 500) err.permanent = true;
+    throw err;
+  }
+}
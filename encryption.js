@@ -0,0 +1,114 @@
+// server/encryption.js
+// Encryption at rest for the store. Values are sealed with AES-256-GCM, so a
+// wrong key or a tampered file fails loudly instead of decrypting to garbage.
+//
+//   STORE_KEY            32-byte key, base64 or hex
+//   STORE_KEY_FILE       or a file containing it
+//   STORE_PREVIOUS_KEYS  comma-separated keys that may still be in use; data
+//                        sealed with one is re-sealed with STORE_KEY on load
+//
+// Sealed values name the key they were sealed with by a short fingerprint
+// (not the key itself), so rotation knows which key to try.
+
+import fs from 'fs';
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'ember:aes-256-gcm:';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * The store cipher configured by the environment, or null when encryption is
+ * off. Throws on a malformed key rather than run unencrypted by mistake.
+ * @returns {Object|null} see createCipher()
+ */
+export function cipherFromEnv(env = process.env) {
+  if (env.STORE_KEY && env.STORE_KEY_FILE) {
+    throw new Error('Set STORE_KEY or STORE_KEY_FILE, not both');
+  }
+  const current = env.STORE_KEY_FILE
+    ? fs.readFileSync(env.STORE_KEY_FILE, 'utf8').trim()
+    : env.STORE_KEY;
+  const previous = (env.STORE_PREVIOUS_KEYS ?? '').split(',').map(key => key.trim()).filter(Boolean);
+
+  if (!current) {
+    if (previous.length) throw new Error('STORE_PREVIOUS_KEYS is set without STORE_KEY');
+    return null;
+  }
+  return createCipher(parseKey(current, 'STORE_KEY'), previous.map(key => parseKey(key, 'STORE_PREVIOUS_KEYS')));
+}
+
+/**
+ * A cipher that seals with `key` and opens values sealed with it or any of
+ * `previousKeys`.
+ * @param {Buffer} key
+ * @param {Array<Buffer>} [previousKeys]
+ * @returns {{seal: Function, open: Function, isCurrent: Function, keyId: string}}
+ */
+export function createCipher(key, previousKeys = []) {
+  const keys = new Map([key, ...previousKeys].map(k => [fingerprint(k), k]));
+  const keyId = fingerprint(key);
+
+  return {
+    keyId,
+
+    /**
+     * Encrypt a string.
+     * @returns {string} `ember:aes-256-gcm:<keyId>:<iv>:<tag>:<ciphertext>`
+     */
+    seal(plaintext) {
+      const iv = randomBytes(IV_BYTES);
+      const cipher = createCipheriv(ALGORITHM, key, iv);
+      const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+      const tag = cipher.getAuthTag();
+      return `${PREFIX}${[keyId, iv, tag, ciphertext].map(encode).join(':')}`;
+    },
+
+    /**
+     * Decrypt a sealed string. Throws if no configured key sealed it or it
+     * doesn't authenticate (wrong key, or the data was altered).
+     */
+    open(sealed) {
+      const [id, iv, tag, ciphertext] = sealed.slice(PREFIX.length).split(':');
+      const match = keys.get(id);
+      if (!match) throw new Error('data was encrypted with a key that is not configured');
+
+      try {
+        const decipher = createDecipheriv(ALGORITHM, match, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+      } catch {
+        throw new Error('data failed authentication; it was altered or the key is wrong');
+      }
+    },
+
+    // Whether a sealed value already uses the current key
+    isCurrent(sealed) {
+      return sealed.slice(PREFIX.length).split(':')[0] === keyId;
+    },
+  };
+}
+
+/**
+ * Whether a stored string is sealed (as opposed to plain JSON).
+ */
+export function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function parseKey(value, name) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${name} must be ${KEY_BYTES} bytes, base64 or hex (e.g. openssl rand -base64 32)`);
+  }
+  return key;
+}
+
+function fingerprint(key) {
+  return createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function encode(part) {
+  return typeof part === 'string' ? part : part.toString('base64');
+}
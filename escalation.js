@@ -0,0 +1,325 @@
+// server/escalation.js
+// Trusted-contact escalation. Ember asks once and then stays quiet, which is
+// right until someone has been off for days and isn't answering. A user can
+// name one trusted contact, who has to agree by text before Ember will ever
+// message them. When the chosen detectors fire several days running and no
+// check-in in that stretch got a reply, the contact gets one gentle note with
+// no numbers and nothing clinical in it. Every step lands in
+// state.contactAudit, and the user can text CONTACT OFF to stop it.
+
+import { queueMessage } from './outbox.js';
+import { isPaused, parseCommand } from './commands.js';
+import { SMS_CHANNEL } from './channels.js';
+import { getDetector } from './detectors.js';
+import { addDays, localDate, DEFAULT_TIME_ZONE } from './time.js';
+import { getUserState, updateUserState, usersWithContact } from './store.js';
+import { log } from './log.js';
+
+// E.164, e.g. +14155552671
+export const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+// Body signals rather than habits: a late night or a skipped run is nobody
+// else's business
+export const DEFAULT_ESCALATION = {
+  days: 3,
+  detectors: ['resting_hr', 'sleep_duration', 'hrv', 'respiratory_rate', 'spo2', 'off_day'],
+};
+const MIN_DAYS = 2;
+const MAX_DAYS = 14;
+const AUDIT_LIMIT = 100;
+const INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+// Invitations go to numbers that never asked to hear from Ember
+const MAX_INVITES_PER_DAY = 3;
+const INVITE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const ACCEPT_WORDS = new Set(['yes', 'y', 'agree', 'i agree']);
+const DECLINE_WORDS = new Set(['no', 'n', 'decline']);
+
+/**
+ * Check a trusted-contact request.
+ * @returns {string|null} error message, or null if it's usable
+ */
+export function validateContact(phone, { contactPhone, contactName, userName, days, detectors }) {
+  if (typeof contactPhone !== 'string' || !PHONE_PATTERN.test(contactPhone)) {
+    return 'contactPhone must be an E.164 number, e.g. +14155552671';
+  }
+  if (contactPhone === phone) return 'contactPhone must be someone else';
+  if (typeof userName !== 'string' || !userName.trim() || userName.length > 40) {
+    return 'userName (how your contact knows you) is required, up to 40 characters';
+  }
+  if (contactName !== undefined && (typeof contactName !== 'string' || contactName.length > 40)) {
+    return 'contactName must be a string of up to 40 characters';
+  }
+  if (days !== undefined && !(Number.isInteger(days) && days >= MIN_DAYS && days <= MAX_DAYS)) {
+    return `days must be an integer from ${MIN_DAYS} to ${MAX_DAYS}`;
+  }
+  if (detectors !== undefined) {
+    if (!Array.isArray(detectors) || detectors.length === 0) return 'detectors must be a non-empty array';
+    const unknown = detectors.find(name => !getDetector(name));
+    if (unknown) return `unknown detector: ${unknown}`;
+  }
+  return null;
+}
+
+/**
+ * Whether naming `contactPhone` would go over the daily invitation cap.
+ * Changing only `days` or `detectors` sends nothing and is always allowed.
+ * @returns {{error: string, retryAfter: number}|null} null if it's allowed
+ */
+export function checkInviteLimit(state, contactPhone, now = new Date()) {
+  if (isSameContact(state.contact, contactPhone)) return null;
+
+  const since = now.getTime() - INVITE_WINDOW_MS;
+  const recent = state.contactAudit
+    .filter(entry => entry.event === 'invited' && new Date(entry.at).getTime() > since)
+    .map(entry => new Date(entry.at).getTime());
+  if (recent.length < MAX_INVITES_PER_DAY) return null;
+
+  const retryAfter = Math.ceil((Math.min(...recent) - since) / 1000);
+  return { error: `at most ${MAX_INVITES_PER_DAY} invitations a day; try again later`, retryAfter };
+}
+
+/**
+ * Name (or update) a user's trusted contact. A new number is sent an
+ * invitation and hears nothing else until it replies YES; changing only
+ * `days` or `detectors` keeps an existing agreement.
+ * @param {string} phone - The user
+ * @param {Object} state - The user's state (saved here)
+ * @param {Object} request - Checked by validateContact()
+ * @param {Date} [now]
+ * @returns {Object} the contact as stored
+ */
+export function setContact(phone, state, { contactPhone, contactName, userName, days, detectors }, now = new Date()) {
+  const previous = state.contact;
+  const sameContact = isSameContact(previous, contactPhone);
+
+  state.contact = {
+    phone: contactPhone,
+    name: contactName ?? previous?.name ?? null,
+    userName: userName.trim(),
+    days: days ?? previous?.days ?? DEFAULT_ESCALATION.days,
+    detectors: detectors ?? previous?.detectors ?? DEFAULT_ESCALATION.detectors,
+    status: sameContact ? previous.status : 'pending',
+    enabled: sameContact ? previous.enabled : true,
+    invitedAt: sameContact ? previous.invitedAt : now.toISOString(),
+    respondedAt: sameContact ? previous.respondedAt : null,
+  };
+  if (!sameContact) state.escalation = null;
+  recordContactEvent(state, sameContact ? 'updated' : 'invited', now, {
+    contact: contactPhone,
+    days: state.contact.days,
+    detectors: state.contact.detectors,
+  });
+  updateUserState(phone, state);
+
+  if (!sameContact) {
+    queueMessage(phone, {
+      kind: 'contact_invite',
+      to: contactPhone,
+      channel: SMS_CHANNEL,
+      body: `${state.contact.userName} asked Ember, the app that checks in when their routine looks off, `
+        + 'to let you know if they seem off for a few days and aren\'t answering. Reply YES to agree or STOP to decline.',
+      expiresAt: new Date(now.getTime() + INVITE_TTL_MS),
+    }, now);
+    log.info('Invited trusted contact', { phone, to: contactPhone });
+  }
+  return state.contact;
+}
+
+/**
+ * Remove a user's trusted contact. Anything still queued for them is dropped
+ * by the outbox.
+ */
+export function removeContact(phone, state, now = new Date()) {
+  if (!state.contact) return false;
+  recordContactEvent(state, 'removed', now, { contact: state.contact.phone });
+  state.contact = null;
+  state.escalation = null;
+  updateUserState(phone, state);
+  return true;
+}
+
+/**
+ * Turn alerts to the trusted contact off or on (CONTACT OFF / CONTACT ON).
+ * Mutates state.
+ * @returns {string} reply text
+ */
+export function setContactAlerts(state, enabled, now = new Date()) {
+  const contact = state.contact;
+  if (!contact || contact.status === 'declined') return 'You don\'t have a trusted contact set up.';
+
+  contact.enabled = enabled;
+  recordContactEvent(state, enabled ? 'alerts_on' : 'alerts_off', now);
+  const name = contactName(contact);
+  return enabled
+    ? `${name} can be alerted again if you're off for a while. Reply CONTACT OFF to stop that.`
+    : `${name} won't be alerted. Reply CONTACT ON to turn it back on.`;
+}
+
+/**
+ * A trusted contact answering their invitation: YES agrees and NO declines
+ * an invitation still awaiting an answer, and STOP declines (and stops
+ * everything to them) at any point. Does nothing for other texts.
+ * @param {string} from - The sender's number
+ * @param {string} body
+ * @param {Date} [now]
+ * @returns {'accepted'|'declined'|null} null if this wasn't a contact's answer
+ */
+export function handleContactReply(from, body, now = new Date()) {
+  const word = body.trim().toLowerCase().replace(/[\s.!]+$/, '');
+  const stopping = parseCommand(body)?.name === 'stop';
+  const accepting = ACCEPT_WORDS.has(word);
+  const declining = DECLINE_WORDS.has(word);
+  if (!accepting && !declining && !stopping) return null;
+
+  const phones = usersWithContact(from);
+  if (!phones.length) return null;
+  // YES and NO are also how people answer their own check-ins: while the
+  // sender has a thread open, that's what they're answering
+  if (!stopping && getUserState(from).threadOpen) return null;
+
+  let outcome = null;
+  for (const phone of phones) {
+    const state = getUserState(phone);
+    const contact = state.contact;
+    if (contact?.phone !== from) continue;
+
+    if (accepting && contact.status === 'pending') {
+      contact.status = 'active';
+    } else if ((declining && contact.status === 'pending') || (stopping && contact.status !== 'declined')) {
+      contact.status = 'declined';
+      state.escalation = null;
+    } else {
+      continue;
+    }
+    contact.respondedAt = now.toISOString();
+    outcome = contact.status === 'active' ? 'accepted' : 'declined';
+    recordContactEvent(state, `contact_${outcome}`, now, { contact: from });
+    updateUserState(phone, state);
+    log.info('Trusted contact answered', { phone, from, outcome });
+
+    const name = contactName(contact);
+    if (outcome === 'accepted') {
+      queueMessage(phone, {
+        kind: 'contact_reply',
+        to: from,
+        channel: SMS_CHANNEL,
+        body: `Thanks. Ember will only text you if ${contact.userName} seems off for a few days and isn't answering. Reply STOP anytime.`,
+      }, now);
+    }
+    if (!state.optedOut) {
+      queueMessage(phone, {
+        kind: 'command_reply',
+        body: outcome === 'accepted'
+          ? `${name} agreed to be your trusted contact. Reply CONTACT OFF anytime to stop alerts to them.`
+          : `${name} declined to be your trusted contact, so they won't hear from Ember.`,
+      }, now);
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Carry the run of days the contact's detectors have fired forward after
+ * today's detection. A day without one ends the run; so does a gap. Mutates
+ * state.escalation.
+ * @param {Object} state - The user's state
+ * @param {Array<Object>} anomalies - Today's anomalies from detectAnomalies()
+ * @param {string} date - Today's snapshot date (YYYY-MM-DD)
+ */
+export function trackEscalation(state, anomalies, date) {
+  const contact = state.contact;
+  if (!contact || contact.status === 'declined') {
+    state.escalation = null;
+    return;
+  }
+
+  const previous = state.escalation;
+  // A late sync for an earlier day doesn't rewrite the run
+  if (previous?.dates.length && date < previous.dates[previous.dates.length - 1]) return;
+
+  const fired = anomalies.map(a => a.detector).filter(name => contact.detectors.includes(name));
+  if (!fired.length) {
+    state.escalation = null;
+    return;
+  }
+
+  const earlier = (previous?.dates ?? []).filter(d => d !== date);
+  const continues = earlier.length && earlier[earlier.length - 1] === addDays(date, -1);
+  state.escalation = {
+    dates: continues ? [...earlier, date] : [date],
+    detectors: [...new Set([...(continues ? previous.detectors : []), ...fired])],
+    notifiedAt: continues ? previous.notifiedAt : null,
+  };
+}
+
+/**
+ * Whether to alert the trusted contact now: they agreed, alerts are on, the
+ * run has lasted the user's chosen number of days, Ember checked in during it
+ * and the user hasn't texted anything since it began. Once per run.
+ * @param {Object} state - The user's state after trackEscalation()
+ * @param {Array<Object>} messages - The user's logged messages
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {string} [options.timeZone]
+ */
+export function isEscalationDue(state, messages, { now, timeZone = DEFAULT_TIME_ZONE }) {
+  const { contact, escalation } = state;
+  if (contact?.status !== 'active' || !contact.enabled) return false;
+  if (state.optedOut || isPaused(state, now)) return false;
+  if (!escalation || escalation.notifiedAt || escalation.dates.length < contact.days) return false;
+
+  const since = escalation.dates[0];
+  const during = messages.filter(m => localDate(m.createdAt, timeZone) >= since);
+  const checkedIn = during.some(m => m.direction === 'outbound' && m.kind === 'check_in');
+  const answered = during.some(m => m.direction === 'inbound');
+  return checkedIn && !answered;
+}
+
+/**
+ * Queue the alert to the trusted contact and record it. It waits for the
+ * user's delivery window like a check-in does. Mutates state; the caller saves it.
+ * @returns {Object} the queued outbox item
+ */
+export function escalate(phone, state, now = new Date()) {
+  const { contact, escalation } = state;
+  const greeting = contact.name ? `Hi ${contact.name}, ` : 'Hi, ';
+  const body = `${greeting}it's Ember. ${contact.userName} hasn't seemed quite themselves for a few days `
+    + 'and hasn\'t answered our check-ins. Nothing urgent from us, but a quick hello from you might be welcome.';
+
+  const item = queueMessage(phone, {
+    kind: 'escalation',
+    to: contact.phone,
+    channel: SMS_CHANNEL,
+    body,
+  }, now);
+  escalation.notifiedAt = now.toISOString();
+  recordContactEvent(state, 'escalated', now, {
+    contact: contact.phone,
+    days: escalation.dates.length,
+    detectors: escalation.detectors,
+    outboxId: item.id,
+    body,
+  });
+  log.info('Escalated to trusted contact', { phone, to: contact.phone, days: escalation.dates.length });
+  return item;
+}
+
+/**
+ * Append to the user's trusted-contact audit trail, keeping the most recent
+ * entries. Mutates state.
+ */
+export function recordContactEvent(state, event, now = new Date(), details = {}) {
+  state.contactAudit = [...state.contactAudit, { event, at: now.toISOString(), ...details }].slice(-AUDIT_LIMIT);
+}
+
+// An existing agreement carries over; a declined number is a fresh invitation
+function isSameContact(contact, contactPhone) {
+  return contact?.phone === contactPhone && contact.status !== 'declined';
+}
+
+// How the user's messages refer to the contact. Not "your trusted contact",
+// which reads oddly in "... declined to be your trusted contact".
+function contactName(contact) {
+  return contact.name ?? 'Your contact';
+}
@@ -0,0 +1,90 @@
+// server/feedback.js
+// Learning from replies. A reply to a check-in either confirms something was
+// off ("yeah, rough night") or dismisses it ("I'm fine"). Each verdict is
+// counted against the anomaly type, and nudges the threshold of the detector
+// behind it — up when Ember was wrong to ask, down when it was right — within
+// fixed bounds so no amount of feedback can silence or spam a user.
+
+import { getProvider } from './llm.js';
+import { log } from './log.js';
+
+// Multipliers on the configured threshold
+export const FEEDBACK_BOUNDS = { min: 0.75, max: 1.5 };
+const DISMISS_STEP = 0.1;
+const CONFIRM_STEP = 0.05;
+
+const DISMISSING = [
+  /^(no|nope|nah|not really)\b/,
+  /\b(i'?m|im|all|feeling|feel|doing|it'?s|its)\s+(fine|good|great|ok|okay|alright)\b/,
+  /^(fine|good|great|ok|okay|all good)\b/,
+  /\b(on purpose|planned|intentional|meant to|rest day|false alarm|no worries)\b/,
+];
+
+const CONFIRMING = [
+  /^(yes|yeah|yep|yup|ya|yea)\b/,
+  /\b(rough|tired|exhausted|wiped|sick|ill|stressed|stress|anxious|hurt|injured|sore|pain|struggling)\b/,
+  /\b(couldn'?t|can'?t|didn'?t) sleep\b/,
+  /\b(bad|awful|terrible|long) (night|day|week)\b/,
+  /\bkilling me\b/,
+];
+
+const CLASSIFY_PROMPT = `Someone replied to a brief check-in from a health companion that noticed a change in their routine.
+Did they confirm something was off, or dismiss it (they're fine, it was planned)?
+Answer with exactly one word: confirmed, dismissed or unclear.`;
+
+/**
+ * Classify a reply to a check-in. Clear keywords decide; anything else goes
+ * to the model when one is configured.
+ * @param {string} text - The user's reply
+ * @param {Object|null} [anomaly] - What the check-in was about
+ * @returns {Promise<'confirmed'|'dismissed'|null>} null when unclear
+ */
+export async function classifyReply(text, anomaly = null) {
+  const reply = (text ?? '').trim().toLowerCase();
+  if (!reply) return null;
+
+  const dismissed = DISMISSING.some(pattern => pattern.test(reply));
+  const confirmed = CONFIRMING.some(pattern => pattern.test(reply));
+  if (dismissed !== confirmed) return dismissed ? 'dismissed' : 'confirmed';
+
+  const provider = getProvider();
+  if (!provider) return null;
+  try {
+    const answer = await provider.complete({
+      system: CLASSIFY_PROMPT,
+      prompt: `Check-in was about: ${anomaly?.type ?? 'unknown'}\nTheir reply: ${JSON.stringify(text)}`,
+      maxTokens: 5,
+    });
+    const verdict = answer.trim().toLowerCase().replace(/[^a-z]/g, '');
+    return verdict === 'confirmed' || verdict === 'dismissed' ? verdict : null;
+  } catch (err) {
+    log.error('Model call failed', { provider: provider.name, err });
+    return null;
+  }
+}
+
+/**
+ * Record a verdict on a check-in and retune the detector that raised it.
+ * Mutates state.feedback (counts per anomaly type) and state.tuning
+ * (threshold multiplier per detector).
+ *
+ * @param {Object} state - The user's state from getUserState()
+ * @param {Object} anomaly - The check-in's anomaly ({ type, detector })
+ * @param {'confirmed'|'dismissed'} verdict
+ * @param {Date} [now]
+ * @returns {number} the detector's new threshold multiplier
+ */
+export function applyFeedback(state, anomaly, verdict, now = new Date()) {
+  const counts = state.feedback[anomaly.type] ?? { confirmed: 0, dismissed: 0, lastAt: null };
+  state.feedback[anomaly.type] = {
+    ...counts,
+    [verdict]: counts[verdict] + 1,
+    lastAt: now.toISOString(),
+  };
+
+  const current = state.tuning[anomaly.detector]?.factor ?? 1;
+  const step = verdict === 'dismissed' ? DISMISS_STEP : -CONFIRM_STEP;
+  const factor = +Math.min(FEEDBACK_BOUNDS.max, Math.max(FEEDBACK_BOUNDS.min, current + step)).toFixed(2);
+  state.tuning[anomaly.detector] = { factor, updatedAt: now.toISOString() };
+  return factor;
+}
@@ -1,40 +1,140 @@
 // server/index.js
-// Ember backend — receives health snapshots, detects anomalies, sends SMS.
+// Ember backend — receives health snapshots, detects anomalies, sends check-ins.
 // Also handles inbound SMS replies from Twilio.
 
+import { randomUUID } from 'node:crypto';
 import express from 'express';
-import Anthropic from '@anthropic-ai/sdk';
 import twilio from 'twilio';
-import { sendSMS } from './twilio.js';
-import { registerUser, getUserState, updateUserState } from './store.js';
+import { log, withLogContext } from './log.js';
+import {
+  renderMetrics,
+  httpRequests,
+  syncs,
+  anomaliesDetected,
+  messagesSuppressed,
+  duplicateWebhooks,
+} from './telemetry.js';
+import { rateLimit } from './ratelimit.js';
+import { generateCheckIn, generateAcknowledgment } from './messages.js';
+import { parseCommand, applyCommand, isPaused } from './commands.js';
+import { classifyReply, applyFeedback } from './feedback.js';
+import {
+  validateContact,
+  setContact,
+  removeContact,
+  handleContactReply,
+  trackEscalation,
+  isEscalationDue,
+  escalate,
+  checkInviteLimit,
+  PHONE_PATTERN,
+} from './escalation.js';
+import { channelFor, validateChannel, SMS_CHANNEL } from './channels.js';
+import {
+  startVerification,
+  confirmVerification,
+  issueToken,
+  findDevice,
+  rotateToken,
+  revokeDevice,
+  publicDevice,
+  isAdminToken,
+} from './auth.js';
+import { normalizeSnapshot, describeErrors, SNAPSHOT_SCHEMA_VERSION } from './snapshots.js';
+import {
+  queueMessage,
+  hasPendingCheckIn,
+  startOutbox,
+  recordDeliveryStatus,
+  DEFAULT_DELIVERY_WINDOW,
+} from './outbox.js';
+import { startDigests, DEFAULT_DIGEST } from './digest.js';
+import { startRetention, RETENTION } from './retention.js';
+import {
+  addDays,
+  isSameLocalDay,
+  isValidTimeZone,
+  localDate,
+  parseClockTime,
+  DEFAULT_TIME_ZONE,
+} from './time.js';
+import { evaluateDay, checkInCandidates } from './baseline.js';
+import {
+  describeDetectors,
+  validateDetectorSettings,
+  DETECTOR_SETTINGS,
+} from './detectors.js';
+import {
+  registerUser,
+  getUser,
+  updateUser,
+  getUserState,
+  updateUserState,
+  saveSnapshot,
+  recordMessage,
+  updateMessage,
+  listMessages,
+  listPhones,
+  transaction,
+  updateDetectorSettings,
+  exportAccount,
+  deleteAccount,
+  claimInboundSid,
+} from './store.js';
 
 const app = express();
-app.set('trust proxy', true);
+// Who may set X-Forwarded-For: a hop count, or proxy addresses and subnets
+// (TRUST_PROXY=1, or TRUST_PROXY=10.0.0.0/8,loopback). Unset, req.ip is the
+// socket's address; trusting the header from anyone lets callers pick their
+// own IP and walk around the rate limits.
+app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+app.use(requestContext);
+if (!process.env.TRUST_PROXY) app.use(warnUntrustedProxy);
 app.use(express.json());
 app.use(express.urlencoded({ extended: false })); // Twilio sends form-encoded webhooks
 
 const PORT = process.env.PORT || 3000;
-const BASELINE_LIMIT = 30;
-
-const anthropic = process.env.ANTHROPIC_API_KEY
-  ? new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY })
-  : null;
-
-function isSameDay(isoString, now = new Date()) {
-  if (!isoString) return false;
-  const date = new Date(isoString);
-  if (Number.isNaN(date.getTime())) return false;
-  return date.getFullYear() === now.getFullYear() &&
-    date.getMonth() === now.getMonth() &&
-    date.getDate() === now.getDate();
+const MAX_BATCH_SNAPSHOTS = 400; // a bit over a year of days
+const DEVICE_LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Registration texts a code, and a sync can call the model, so both are
+// limited per IP and per phone. Phone limits on synced routes come after
+// requireDevice, so only the phone's own devices count against it.
+const registerIpLimit = rateLimit({ name: 'register_ip', by: 'ip', limit: 20, windowMs: HOUR_MS });
+const registerPhoneLimit = rateLimit({ name: 'register_phone', by: 'phone', limit: 5, windowMs: HOUR_MS });
+const syncIpLimit = rateLimit({ name: 'sync_ip', by: 'ip', limit: 120, windowMs: HOUR_MS });
+const syncPhoneLimit = rateLimit({ name: 'sync_phone', by: 'phone', limit: 30, windowMs: HOUR_MS });
+const batchPhoneLimit = rateLimit({ name: 'sync_batch_phone', by: 'phone', limit: 10, windowMs: HOUR_MS });
+// Each new contact is texted an invitation; escalation.js also caps those per day
+const contactPhoneLimit = rateLimit({ name: 'contact_phone', by: 'phone', limit: 10, windowMs: HOUR_MS });
+
+function trustProxy(value) {
+  if (!value) return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
 }
 
+// Forwarded headers with TRUST_PROXY unset usually mean a proxy was set up
+// before the variable existed: every caller then shares the proxy's IP limit.
+// Said once, on the first such request.
+let warnedUntrustedProxy = false;
+function warnUntrustedProxy(req, res, next) {
+  if (!warnedUntrustedProxy && (req.get('x-forwarded-for') || req.get('x-forwarded-proto'))) {
+    warnedUntrustedProxy = true;
+    log.warn('Ignoring X-Forwarded-* headers because TRUST_PROXY is unset; set it to the proxies in front of this server', { ip: req.ip });
+  }
+  next();
+}
+
+// The public URL Twilio signed. Behind a proxy that rewrites the host or
+// path, set it per route; otherwise it's rebuilt from the request.
+const TWILIO_WEBHOOK_URLS = {
+  '/sms/inbound': process.env.TWILIO_INBOUND_URL,
+  '/sms/status': process.env.TWILIO_STATUS_CALLBACK_URL,
+};
 
 function twilioValidationUrl(req) {
-  if (process.env.TWILIO_INBOUND_URL) {
-    return process.env.TWILIO_INBOUND_URL;
-  }
-  return `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  return TWILIO_WEBHOOK_URLS[req.path] || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
 }
 
 function isValidTwilioSignature(req) {
@@ -54,229 +154,671 @@ function isValidTwilioSignature(req) {
   }
 }
 
-function average(values) {
-  return values.reduce((sum, value) => sum + value, 0) / values.length;
+// Tags every log line for a request with its ID (the caller's X-Request-Id if
+// it looks like one), and logs and counts the request when it finishes
+function requestContext(req, res, next) {
+  const given = req.get('X-Request-Id');
+  const requestId = given && /^[\w.-]{1,64}$/.test(given) ? given : randomUUID();
+  res.set('X-Request-Id', requestId);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route?.path ?? 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    log.info('Request', {
+      requestId,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      ms: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+    });
+  });
+  withLogContext({ requestId }, next);
 }
 
-function standardDeviation(values, mean) {
-  const variance = values.reduce((sum, value) => {
-    const diff = value - mean;
-    return sum + (diff * diff);
-  }, 0) / values.length;
-  return Math.sqrt(variance);
+function userTimeZone(phone) {
+  return getUser(phone)?.timeZone ?? DEFAULT_TIME_ZONE;
 }
 
-function detectTwoSigma(value, history) {
-  if (!Number.isFinite(value) || history.length < 2) return null;
-  const mean = average(history);
-  const stddev = standardDeviation(history, mean);
-  if (!Number.isFinite(stddev)) return null;
-
-  if (stddev === 0) {
-    if (value === mean) return null;
-    return {
-      mean,
-      stddev,
-      zScore: Number.POSITIVE_INFINITY,
-    };
-  }
-
-  const zScore = (value - mean) / stddev;
-  if (Math.abs(zScore) < 2) return null;
-  return { mean, stddev, zScore };
+// An anomaly as stored with a check-in and returned by /sync
+function summarizeAnomaly(anomaly) {
+  return {
+    type: anomaly.type,
+    detector: anomaly.detector,
+    severity: anomaly.severity,
+    zScore: anomaly.zScore ?? null,
+    context: anomaly.context,
+  };
 }
 
-function extractClaudeText(response) {
-  return response.content
-    .filter(block => block.type === 'text')
-    .map(block => block.text)
-    .join('')
-    .trim();
+function isValidDigest(digest) {
+  if (typeof digest !== 'object' || digest === null) return false;
+  if (typeof digest.enabled !== 'boolean') return false;
+  if (digest.weekday !== undefined && !(Number.isInteger(digest.weekday) && digest.weekday >= 1 && digest.weekday <= 7)) {
+    return false;
+  }
+  return digest.time === undefined || parseClockTime(digest.time) !== null;
 }
 
-function toSentenceCase(text) {
-  const cleaned = (text ?? '').replace(/\s+/g, ' ').trim();
-  if (!cleaned) return '';
-  return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+function isValidDeliveryWindow(window) {
+  if (typeof window !== 'object' || window === null) return false;
+  const start = parseClockTime(window.start);
+  const end = parseClockTime(window.end);
+  return start !== null && end !== null && start !== end;
 }
 
-function normalizeRunPhrase(text) {
-  const cleaned = (text ?? '').replace(/\s+/g, ' ').trim();
-  if (!cleaned) return null;
-  const words = cleaned.split(' ').filter(Boolean);
-  if (words.length > 4) return null;
-  if (!cleaned.toLowerCase().includes('our run')) return null;
-  return cleaned;
+// Checks the channel fields being set against what's already stored, so
+// switching to email without an address on file is caught
+function channelProfileError(user, changes) {
+  const provided = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+  return validateChannel({
+    channel: user?.channel ?? undefined,
+    email: user?.email,
+    webhookUrl: user?.webhookUrl,
+    ...provided,
+  });
 }
 
-function normalizeAcknowledgment(text) {
-  const cleaned = (text ?? '').replace(/\s+/g, ' ').trim();
-  if (!cleaned) return 'Thanks for sharing.';
-  if (cleaned.includes('?')) return 'Thanks for sharing.';
-  const sentenceCount = cleaned
-    .split(/[.!?]+/)
-    .map(part => part.trim())
-    .filter(Boolean).length;
-  if (sentenceCount !== 1) return 'Thanks for sharing.';
-  return toSentenceCase(cleaned);
+function bearerToken(req) {
+  return /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') ?? '')?.[1] ?? null;
 }
 
-async function generateRunPhrase(runAnomaly, runValue) {
-  if (!anthropic) return null;
+/**
+ * Route guard for user data: the request must carry a device token issued to
+ * the phone it names — in the query string for GET, the body otherwise. The
+ * checked number is `req.phone`; handlers read it and nothing else.
+ */
+function requireDevice(req, res, next) {
+  const [phone, other] = req.method === 'GET'
+    ? [req.query.phone, req.body?.phone]
+    : [req.body?.phone, req.query.phone];
+  if (!phone || typeof phone !== 'string') return res.status(400).json({ error: 'phone required' });
+  if (other !== undefined && other !== phone) {
+    return res.status(400).json({ error: 'phone in the body and query string disagree' });
+  }
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: 'device token required' });
+
+  const user = getUser(phone);
+  const device = findDevice(user, token);
+  if (!device) {
+    log.warn('Rejected device token', { phone, method: req.method, path: req.path });
+    return res.status(401).json({ error: 'invalid or revoked device token' });
+  }
 
-  const context = {
-    mean: runAnomaly.mean,
-    value: runValue,
-    zScore: runAnomaly.zScore,
-  };
+  const now = new Date();
+  if (!device.lastUsedAt || now - new Date(device.lastUsedAt) > DEVICE_LAST_USED_RESOLUTION_MS) {
+    device.lastUsedAt = now.toISOString();
+    updateUser(phone, { devices: user.devices });
+  }
+  req.phone = phone;
+  req.device = device;
+  next();
+}
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-6',
-    max_tokens: 30,
-    system: 'Generate a short observational SMS phrase. Constraints: 2-4 words, no advice, no interpretation, include possessive "our run", return only the phrase.',
-    messages: [{
-      role: 'user',
-      content: `Structured context:\n${JSON.stringify(context, null, 2)}`,
-    }],
-  });
+/**
+ * Route guard for operator routes that span users.
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdminToken(bearerToken(req))) {
+    return res.status(401).json({ error: 'admin token required' });
+  }
+  next();
+}
 
-  return normalizeRunPhrase(extractClaudeText(response));
+/**
+ * Route guard for routes that name a phone before there's a device token: it
+ * must be an E.164 number, checked before a rate limit counts it.
+ */
+function requirePhoneNumber(req, res, next) {
+  const { phone } = req.body;
+  if (typeof phone !== 'string' || !PHONE_PATTERN.test(phone)) {
+    return res.status(400).json({ error: 'phone must be an E.164 number, e.g. +14155552671' });
+  }
+  next();
 }
 
-async function generateAcknowledgment(inboundText) {
-  if (!anthropic) return 'Thanks for sharing.';
-
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-6',
-    max_tokens: 40,
-    system: 'Write one short acknowledgment sentence in sentence case that closes the loop. No advice. No follow-up questions. No interpretation. Return only the sentence.',
-    messages: [{
-      role: 'user',
-      content: `User message: ${inboundText}`,
-    }],
-  });
+/**
+ * Route guard for Twilio webhooks: the request must carry a valid
+ * X-Twilio-Signature for this route's public URL.
+ */
+function requireTwilioSignature(req, res, next) {
+  if (!isValidTwilioSignature(req)) {
+    log.warn('Rejected Twilio webhook: invalid signature', { path: req.path });
+    return res.status(403).send('forbidden');
+  }
+  next();
+}
+
+function handleCommand(phone, command, state) {
+  try {
+    const reply = applyCommand(command, state, { timeZone: userTimeZone(phone) });
+    updateUserState(phone, state);
+    log.info('Command', { phone, command: command.name });
 
-  return normalizeAcknowledgment(extractClaudeText(response));
+    if (reply && !state.optedOut) {
+      queueMessage(phone, { kind: 'command_reply', body: reply });
+    }
+  } catch (err) {
+    log.error('Command error', { phone, err });
+  }
 }
 
 // ─── Routes ───────────────────────────────────────────────────────────────────
 
 /**
  * POST /register
- * Called once during iOS onboarding to save user's phone number.
+ * Called during iOS onboarding (and when adding a device). Texts a one-time
+ * code to the phone; nothing is saved until POST /register/confirm.
+ * Body: { phone, timeZone?, channel?: 'sms'|'email'|'webhook', email?, webhookUrl? }
  */
-app.post('/register', async (req, res) => {
-  const { phone } = req.body;
-  if (!phone) return res.status(400).json({ error: 'phone required' });
+app.post('/register', requirePhoneNumber, registerIpLimit, registerPhoneLimit, (req, res) => {
+  const { phone, timeZone, channel, email, webhookUrl } = req.body;
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'timeZone must be an IANA time zone, e.g. America/New_York' });
+  }
+  const channelError = channelProfileError(getUser(phone), { channel, email, webhookUrl });
+  if (channelError) return res.status(400).json({ error: channelError });
 
   try {
-    await registerUser(phone);
-    console.log(`[Ember] Registered user: ${phone}`);
-    res.json({ ok: true });
+    const state = getUserState(phone);
+    if (state.optedOut) {
+      return res.status(409).json({ error: 'this number has opted out; text START to Ember first' });
+    }
+
+    const now = new Date();
+    const verification = startVerification(state, { timeZone, channel, email, webhookUrl }, now);
+    if (verification.error) {
+      res.set('Retry-After', String(verification.retryAfter));
+      return res.status(429).json({ error: verification.error });
+    }
+    updateUserState(phone, state);
+    queueMessage(phone, {
+      kind: 'verification',
+      body: `Your Ember code is ${verification.code}. It expires in 10 minutes.`,
+      channel: SMS_CHANNEL,
+      expiresAt: new Date(verification.expiresAt),
+      sensitive: true,
+    }, now);
+    log.info('Verification code sent', { phone });
+    res.json({ ok: true, verification: 'sent', expiresAt: verification.expiresAt });
+  } catch (err) {
+    log.error('Registration error', { phone, err });
+    res.status(500).json({ error: 'registration failed' });
+  }
+});
+
+/**
+ * POST /register/confirm
+ * Completes registration with the texted code and issues this device's API
+ * token. The token is shown once; send it as `Authorization: Bearer <token>`.
+ * Body: { phone, code, deviceName? }
+ */
+app.post('/register/confirm', requirePhoneNumber, registerIpLimit, (req, res) => {
+  const { phone, code, deviceName } = req.body;
+  if (!code) return res.status(400).json({ error: 'code required' });
+
+  try {
+    const state = getUserState(phone);
+    const result = confirmVerification(state, code);
+    if (result.error) {
+      updateUserState(phone, state);
+      log.warn('Verification failed', { phone, reason: result.error });
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const issued = transaction(() => {
+      updateUserState(phone, state);
+      registerUser(phone, result.profile);
+      const user = getUser(phone);
+      const { token, device } = issueToken(user, typeof deviceName === 'string' ? deviceName : null);
+      updateUser(phone, { devices: user.devices });
+      return { token, device, channel: channelFor(user) };
+    });
+    log.info('Registered user', { phone, deviceId: issued.device.id });
+    res.json({ ok: true, ...issued });
   } catch (err) {
-    console.error('[Ember] Registration error:', err);
+    log.error('Registration error', { phone, err });
     res.status(500).json({ error: 'registration failed' });
   }
 });
 
+/**
+ * GET /devices?phone=+1...
+ * The user's devices (never their tokens). Requires a device token.
+ */
+app.get('/devices', requireDevice, (req, res) => {
+  const { devices = [] } = getUser(req.phone);
+  res.json({ current: req.device.id, devices: devices.map(publicDevice) });
+});
+
+/**
+ * POST /devices/rotate
+ * Replace the calling device's token. The old token stops working at once.
+ * Body: { phone }
+ */
+app.post('/devices/rotate', requireDevice, (req, res) => {
+  const { phone } = req;
+  const user = getUser(phone);
+  const token = rotateToken(user, req.device.id);
+  updateUser(phone, { devices: user.devices });
+  log.info('Rotated device token', { phone, deviceId: req.device.id });
+  res.json({ ok: true, token });
+});
+
+/**
+ * POST /devices/revoke
+ * Revoke a device's token — the calling device's unless another is named,
+ * e.g. to cut off a lost phone from a new one.
+ * Body: { phone, deviceId? }
+ */
+app.post('/devices/revoke', requireDevice, (req, res) => {
+  const { phone } = req;
+  const { deviceId = req.device.id } = req.body;
+  const user = getUser(phone);
+  if (!revokeDevice(user, deviceId)) return res.status(404).json({ error: 'unknown or already revoked device' });
+  updateUser(phone, { devices: user.devices });
+  log.info('Revoked device', { phone, deviceId });
+  res.json({ ok: true });
+});
+
+/**
+ * GET /account/export?phone=+1...
+ * Everything Ember stores about the phone number, as JSON: profile and
+ * settings, state, every snapshot, every logged message and the outbox.
+ * Token and code hashes are left out.
+ */
+app.get('/account/export', requireDevice, (req, res) => {
+  const { phone } = req;
+
+  try {
+    const { profile, state, snapshots, messages, outbox } = exportAccount(phone);
+    const { verification, ...stored } = state ?? {};
+    res.set('Content-Disposition', 'attachment; filename="ember-export.json"');
+    res.json({
+      exportedAt: new Date().toISOString(),
+      phone,
+      retention: RETENTION,
+      profile: profile && { ...profile, devices: (profile.devices ?? []).map(publicDevice) },
+      state: state && { ...stored, verificationPending: Boolean(verification) },
+      snapshots,
+      messages,
+      outbox,
+    });
+  } catch (err) {
+    log.error('Export error', { phone, err });
+    res.status(500).json({ error: 'export failed' });
+  }
+});
+
+/**
+ * POST /account/delete
+ * Delete the account and everything stored about it, including anything
+ * still queued to send. Every device token stops working.
+ * Body: { phone }
+ */
+app.post('/account/delete', requireDevice, (req, res) => {
+  const { phone } = req;
+
+  try {
+    deleteAccount(phone);
+    log.info('Deleted account', { phone });
+    res.json({ ok: true });
+  } catch (err) {
+    log.error('Account deletion error', { phone, err });
+    res.status(500).json({ error: 'deletion failed' });
+  }
+});
+
 /**
  * POST /sync
  * Receives a health snapshot from the iOS app.
- * Runs anomaly detection — sends SMS if a deviation is found.
+ * Runs anomaly detection — sends SMS if a deviation is found. The response
+ * lists every anomaly, most severe first, and the one chosen for the check-in.
+ * A second sync for the same date replaces the first instead of adding a day.
+ * The date must be the user's today or yesterday.
+ * Body: { phone, schemaVersion?, date?, timestamp?, weekday?, sleep_duration_hours,
+ *         wake_time_hour, running_minutes, resting_hr, hrv_ms, steps,
+ *         respiratory_rate, spo2_percent } — see metrics.js for ranges and
+ *         alternative units. Invalid fields are listed in a 400.
  */
-app.post('/sync', async (req, res) => {
+app.post('/sync', syncIpLimit, requireDevice, syncPhoneLimit, async (req, res) => {
   const snapshot = req.body;
-  const { phone } = snapshot;
-
-  if (!phone) return res.status(400).json({ error: 'phone required' });
+  const { phone } = req;
 
   try {
     const state = getUserState(phone);
-    const alreadyMessagedToday = isSameDay(state.lastMessageDate);
-    const sleepHistory = state.baseline
-      .map(item => item.sleep_duration_hours)
-      .filter(value => Number.isFinite(value));
-    const wakeHistory = state.baseline
-      .map(item => item.wake_time_hour)
-      .filter(value => Number.isFinite(value));
-    const runHistory = state.baseline
-      .map(item => item.running_minutes)
-      .filter(value => Number.isFinite(value));
+    const timeZone = userTimeZone(phone);
+    const now = new Date();
+    // Today or yesterday (a sync just after midnight): older days go through
+    // /sync/batch, which backfills without checking in about them
+    const today = localDate(now, timeZone);
+    const { entry, errors } = normalizeSnapshot(snapshot, {
+      timeZone,
+      timestamp: now.toISOString(),
+      earliest: addDays(today, -1),
+      latest: today,
+    });
+    if (errors) {
+      syncs.inc({ endpoint: 'sync', result: 'invalid' });
+      log.warn('Rejected snapshot', { phone, errors: describeErrors(errors) });
+      return res.status(400).json({ error: 'invalid snapshot', schemaVersion: SNAPSHOT_SCHEMA_VERSION, fields: errors });
+    }
+
+    const { anomalies, drift } = evaluateDay(entry, {
+      snapshots: state.baseline,
+      drift: state.drift,
+      settings: state.detectors,
+      tuning: state.tuning,
+      now,
+      timeZone,
+    });
 
     let anomaly = null;
     let message = null;
 
-    const sleepAnomaly = detectTwoSigma(snapshot.sleep_duration_hours, sleepHistory);
-    if (sleepAnomaly) {
-      if (snapshot.sleep_duration_hours < sleepAnomaly.mean) {
-        message = 'Short night?';
-      } else if (snapshot.sleep_duration_hours > sleepAnomaly.mean) {
-        message = 'Long night?';
-      }
+    // Most severe anomaly that yields a message wins
+    for (const candidate of checkInCandidates(anomalies, drift)) {
+      message = await generateCheckIn(candidate);
       if (message) {
-        anomaly = {
-          type: 'sleep_duration_hours',
-          zScore: sleepAnomaly.zScore,
-        };
+        anomaly = summarizeAnomaly(candidate);
+        break;
       }
     }
 
-    if (!message) {
-      const wakeAnomaly = detectTwoSigma(snapshot.wake_time_hour, wakeHistory);
-      if (wakeAnomaly) {
-        if (snapshot.wake_time_hour < wakeAnomaly.mean) {
-          message = 'Up early?';
-        } else if (snapshot.wake_time_hour > wakeAnomaly.mean) {
-          message = 'Up late?';
-        }
-        if (message) {
-          anomaly = {
-            type: 'wake_time_hour',
-            zScore: wakeAnomaly.zScore,
-          };
-        }
-      }
-    }
-
-    if (!message) {
-      const runAnomaly = detectTwoSigma(snapshot.running_minutes, runHistory);
-      if (runAnomaly && snapshot.running_minutes < runAnomaly.mean) {
-        message = await generateRunPhrase(runAnomaly, snapshot.running_minutes);
-        if (message) {
-          anomaly = {
-            type: 'running_minutes',
-            zScore: runAnomaly.zScore,
-          };
-        }
-      }
+    // Re-read: the user may have texted STOP or PAUSE, or changed their
+    // contact, while the model was writing. This sync only writes drift and
+    // the escalation run.
+    const latest = getUserState(phone);
+    const alreadyMessagedToday = isSameLocalDay(latest.lastMessageDate, now, timeZone)
+      || hasPendingCheckIn(phone);
+
+    let delivery = null;
+    if (message && latest.optedOut) {
+      messagesSuppressed.inc({ kind: 'check_in', reason: 'opted_out' });
+      log.info('Opted out; not sending', { phone });
+      delivery = { status: 'opted_out' };
+    } else if (message && isPaused(latest, now)) {
+      messagesSuppressed.inc({ kind: 'check_in', reason: 'paused' });
+      log.info('Paused; not sending', { phone });
+      delivery = { status: 'paused' };
+    } else if (message && !alreadyMessagedToday) {
+      // The thread opens when the outbox actually delivers it
+      const queued = queueMessage(phone, { kind: 'check_in', body: message, anomaly }, now);
+      log.info('Queued check-in', { phone, sendAfter: queued.sendAfter, body: message });
+      if (anomaly.type === 'sustained_drift') drift.checkedIn = true;
+      delivery = { status: 'queued', sendAfter: queued.sendAfter, expiresAt: queued.expiresAt };
+    } else if (message) {
+      messagesSuppressed.inc({ kind: 'check_in', reason: 'cooldown' });
+      log.info('Cooldown active; not sending duplicate message', { phone });
+      delivery = { status: 'cooldown' };
     }
 
-    if (message && !alreadyMessagedToday) {
-      await sendSMS(phone, message);
-      state.threadOpen = true;
-      state.lastMessageDate = new Date().toISOString();
-      console.log(`[Ember] Sent to ${phone}: "${message}"`);
-    } else if (message) {
-      console.log(`[Ember] Cooldown active for ${phone}; not sending duplicate message`);
+    trackEscalation(latest, anomalies, entry.date);
+    if (isEscalationDue(latest, listMessages(phone), { now, timeZone })) {
+      escalate(phone, latest, now);
     }
 
-    state.baseline.push({
-      sleep_duration_hours: snapshot.sleep_duration_hours,
-      wake_time_hour: snapshot.wake_time_hour,
-      running_minutes: snapshot.running_minutes,
+    latest.drift = drift;
+    const replaced = transaction(() => {
+      const existed = saveSnapshot(phone, entry);
+      updateUserState(phone, latest);
+      return existed;
     });
-    if (state.baseline.length > BASELINE_LIMIT) {
-      state.baseline.shift();
-    }
-    updateUserState(phone, state);
 
-    res.json({ ok: true, anomaly: anomaly ?? null });
+    syncs.inc({ endpoint: 'sync', result: 'ok' });
+    for (const { type, detector } of anomalies) anomaliesDetected.inc({ type, detector });
+    res.json({
+      ok: true,
+      date: entry.date,
+      replaced,
+      anomaly: anomaly ?? null,
+      anomalies: anomalies.map(summarizeAnomaly),
+      delivery,
+    });
   } catch (err) {
-    console.error('[Ember] Sync error:', err);
+    syncs.inc({ endpoint: 'sync', result: 'error' });
+    log.error('Sync error', { phone, err });
     res.status(500).json({ error: 'sync failed' });
   }
 });
 
+/**
+ * POST /sync/batch
+ * Backfills past days, e.g. from `ember.py --seed`. Only builds the baseline:
+ * no detection and never a message. Days are upserted by date, so running
+ * the same backfill twice changes nothing.
+ * Body: { phone, snapshots: [{ date or timestamp, sleep_duration_hours, ... }] }
+ */
+app.post('/sync/batch', syncIpLimit, requireDevice, batchPhoneLimit, (req, res) => {
+  const { phone } = req;
+  const { snapshots } = req.body;
+  if (!Array.isArray(snapshots) || snapshots.length === 0) {
+    return res.status(400).json({ error: 'snapshots must be a non-empty array' });
+  }
+  if (snapshots.length > MAX_BATCH_SNAPSHOTS) {
+    return res.status(400).json({ error: `at most ${MAX_BATCH_SNAPSHOTS} snapshots per batch` });
+  }
+
+  // All or nothing: one bad day rejects the batch, with every problem listed
+  const timeZone = userTimeZone(phone);
+  const today = localDate(new Date(), timeZone);
+  const entries = [];
+  const invalid = [];
+  for (const [index, snapshot] of snapshots.entries()) {
+    const { entry, errors } = normalizeSnapshot(snapshot, { timeZone, latest: today });
+    if (errors) invalid.push({ index, fields: errors });
+    else entries.push(entry);
+  }
+  if (invalid.length) {
+    syncs.inc({ endpoint: 'batch', result: 'invalid' });
+    log.warn('Rejected batch', {
+      phone,
+      invalid: invalid.length,
+      total: snapshots.length,
+      firstIndex: invalid[0].index,
+      errors: describeErrors(invalid[0].fields),
+    });
+    return res.status(400).json({ error: 'invalid snapshots', schemaVersion: SNAPSHOT_SCHEMA_VERSION, snapshots: invalid });
+  }
+
+  try {
+    const replaced = transaction(() => entries.filter(entry => saveSnapshot(phone, entry)).length);
+    syncs.inc({ endpoint: 'batch', result: 'ok' });
+    log.info('Backfilled snapshots', { phone, days: entries.length, replaced });
+    res.json({ ok: true, saved: entries.length, replaced });
+  } catch (err) {
+    syncs.inc({ endpoint: 'batch', result: 'error' });
+    log.error('Batch sync error', { phone, err });
+    res.status(500).json({ error: 'batch sync failed' });
+  }
+});
+
+/**
+ * POST /settings
+ * Update a registered user's profile after onboarding.
+ * Body: { phone, timeZone?, deliveryWindow?: { start: 'HH:MM', end: 'HH:MM' },
+ *         channel?, email?, webhookUrl?,
+ *         digest?: { enabled, weekday?: 1-7 (Sunday=1), time?: 'HH:MM' } }
+ * Check-ins are held until the delivery window (local time) opens. The
+ * weekly digest is off unless enabled here.
+ */
+app.post('/settings', requireDevice, (req, res) => {
+  const { phone } = req;
+  const { timeZone, deliveryWindow, channel, email, webhookUrl, digest } = req.body;
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'timeZone must be an IANA time zone, e.g. America/New_York' });
+  }
+  if (deliveryWindow !== undefined && !isValidDeliveryWindow(deliveryWindow)) {
+    return res.status(400).json({ error: 'deliveryWindow must be { start: "HH:MM", end: "HH:MM" } with start ≠ end' });
+  }
+  if (digest !== undefined && !isValidDigest(digest)) {
+    return res.status(400).json({ error: 'digest must be { enabled: true|false, weekday?: 1-7, time?: "HH:MM" }' });
+  }
+  const channelError = channelProfileError(getUser(phone), { channel, email, webhookUrl });
+  if (channelError) return res.status(400).json({ error: channelError });
+
+  const patch = {};
+  if (timeZone !== undefined) patch.timeZone = timeZone;
+  if (deliveryWindow !== undefined) patch.deliveryWindow = { start: deliveryWindow.start, end: deliveryWindow.end };
+  if (channel !== undefined) patch.channel = channel;
+  if (email !== undefined) patch.email = email;
+  if (webhookUrl !== undefined) patch.webhookUrl = webhookUrl;
+  if (digest !== undefined) {
+    patch.digest = {
+      ...DEFAULT_DIGEST,
+      ...getUser(phone)?.digest,
+      enabled: digest.enabled,
+      ...(digest.weekday !== undefined && { weekday: digest.weekday }),
+      ...(digest.time !== undefined && { time: digest.time }),
+    };
+  }
+
+  try {
+    const user = updateUser(phone, patch);
+    if (!user) return res.status(404).json({ error: 'phone not registered' });
+    res.json({
+      ok: true,
+      timeZone: user.timeZone ?? DEFAULT_TIME_ZONE,
+      deliveryWindow: user.deliveryWindow ?? DEFAULT_DELIVERY_WINDOW,
+      channel: channelFor(user),
+      digest: { ...DEFAULT_DIGEST, ...user.digest },
+    });
+  } catch (err) {
+    log.error('Settings error', { phone, err });
+    res.status(500).json({ error: 'settings update failed' });
+  }
+});
+
+/**
+ * GET /detectors?phone=+1...
+ * Effective detector configuration for a user (registry defaults + their
+ * overrides, thresholds scaled by their replies), and the reply counts behind it.
+ */
+app.get('/detectors', requireDevice, (req, res) => {
+  const { phone } = req;
+
+  const state = getUserState(phone);
+  res.json({ detectors: describeDetectors(state.detectors, state.tuning), feedback: state.feedback });
+});
+
+/**
+ * POST /detectors
+ * Enable, disable or tune one detector for a user.
+ * Body: { phone, detector, enabled?, threshold?, minSamples?, direction?,
+ *         method?, minSpread?, alpha?, slack?, minStreak?, window? }
+ */
+app.post('/detectors', requireDevice, (req, res) => {
+  const { phone } = req;
+  const { detector, ...patch } = req.body;
+  if (!detector) return res.status(400).json({ error: 'detector required' });
+
+  const settings = Object.fromEntries(
+    DETECTOR_SETTINGS
+      .filter(key => patch[key] !== undefined)
+      .map(key => [key, patch[key]])
+  );
+  const error = validateDetectorSettings(detector, settings);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const overrides = updateDetectorSettings(phone, detector, settings);
+    res.json({ ok: true, detectors: describeDetectors(overrides, getUserState(phone).tuning) });
+  } catch (err) {
+    log.error('Detector settings error', { phone, err });
+    res.status(500).json({ error: 'detector update failed' });
+  }
+});
+
+/**
+ * GET /contact?phone=+1...
+ * The user's trusted contact, the current run of off days that could lead
+ * to alerting them, and the audit trail of everything to do with it.
+ */
+app.get('/contact', requireDevice, (req, res) => {
+  const { phone } = req;
+
+  const state = getUserState(phone);
+  res.json({ contact: state.contact, escalation: state.escalation, audit: state.contactAudit });
+});
+
+/**
+ * POST /contact
+ * Name a trusted contact, or change when they're alerted. A new number is
+ * texted an invitation and is only ever alerted after replying YES. The user
+ * can text CONTACT OFF / CONTACT ON to stop or restart alerts.
+ * Body: { phone, contactPhone, userName (how the contact knows the user),
+ *         contactName?, days?: 2-14, detectors?: [detector names] }
+ */
+app.post('/contact', requireDevice, contactPhoneLimit, (req, res) => {
+  const { phone } = req;
+  const { contactPhone, contactName, userName, days, detectors } = req.body;
+
+  const request = { contactPhone, contactName, userName, days, detectors };
+  const error = validateContact(phone, request);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const state = getUserState(phone);
+    if (state.optedOut) {
+      return res.status(409).json({ error: 'this number has opted out; text START to Ember first' });
+    }
+    const limited = checkInviteLimit(state, contactPhone);
+    if (limited) {
+      res.set('Retry-After', String(limited.retryAfter));
+      return res.status(429).json({ error: limited.error });
+    }
+    const contact = setContact(phone, state, request);
+    res.json({ ok: true, contact });
+  } catch (err) {
+    log.error('Trusted contact error', { phone, err });
+    res.status(500).json({ error: 'trusted contact update failed' });
+  }
+});
+
+/**
+ * POST /contact/remove
+ * Remove the trusted contact. Nothing more is sent to them; the audit trail stays.
+ * Body: { phone }
+ */
+app.post('/contact/remove', requireDevice, (req, res) => {
+  const { phone } = req;
+
+  const state = getUserState(phone);
+  if (!removeContact(phone, state)) return res.status(404).json({ error: 'no trusted contact' });
+  log.info('Removed trusted contact', { phone });
+  res.json({ ok: true });
+});
+
+/**
+ * GET /delivery?phone=+1...
+ * Delivery failure counts for a user. `consecutive` resets on the next
+ * delivered message, so a number that keeps climbing is probably dead.
+ */
+app.get('/delivery', requireDevice, (req, res) => {
+  const { phone } = req;
+  if (!getUser(phone)) return res.status(404).json({ error: 'unknown phone' });
+
+  res.json({ phone, deliveryFailures: getUserState(phone).deliveryFailures });
+});
+
+/**
+ * GET /delivery/failures?min=3
+ * Users whose last `min` (default 3) messages all failed to deliver.
+ */
+app.get('/delivery/failures', requireAdmin, (req, res) => {
+  const min = req.query.min === undefined ? 3 : Number(req.query.min);
+  if (!Number.isInteger(min) || min < 1) {
+    return res.status(400).json({ error: 'min must be a positive integer' });
+  }
+
+  const users = listPhones()
+    .map(phone => ({ phone, deliveryFailures: getUserState(phone).deliveryFailures }))
+    .filter(({ deliveryFailures }) => deliveryFailures.consecutive >= min)
+    .sort((a, b) => b.deliveryFailures.consecutive - a.deliveryFailures.consecutive);
+  res.json({ users });
+});
+
 /**
  * POST /sms/inbound
  * Twilio webhook — fires when a user replies to Ember's SMS.
@@ -284,25 +826,16 @@ app.post('/sync', async (req, res) => {
  * Configure in Twilio Console:
  *   Phone Number → Messaging → "A message comes in" → Webhook → POST
  *   URL: https://your-ember-server.com/sms/inbound
+ *
+ * Behind a proxy, set TWILIO_INBOUND_URL to that same URL so the signature
+ * checks out.
  */
-app.post('/sms/inbound', async (req, res) => {
-  const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
-  const isValid = twilio.validateRequest(
-    process.env.TWILIO_AUTH_TOKEN,
-    req.headers['x-twilio-signature'],
-    url,
-    req.body
-  );
-
-  if (!isValid) {
-    console.warn('[Ember] Rejected inbound SMS: invalid Twilio signature');
-    return res.status(403).send('forbidden');
-  }
-
+app.post('/sms/inbound', requireTwilioSignature, async (req, res) => {
   const from = req.body.From;   // User's phone number, E.164
   const body = (req.body.Body ?? '').trim();
+  const sid = req.body.MessageSid;
 
-  console.log(`[Ember] Inbound from ${from}: "${body}"`);
+  log.info('Inbound SMS', { from, sid, body });
 
   // Always respond with empty TwiML — Twilio requires it
   // We send our reply via the REST API, not TwiML, so we control timing
@@ -311,24 +844,108 @@ app.post('/sms/inbound', async (req, res) => {
 
   if (!from || !body) return;
 
+  // Twilio retries a webhook it didn't hear back from in time; the first
+  // delivery of a MessageSid is the only one handled
+  if (sid && !claimInboundSid(sid)) {
+    duplicateWebhooks.inc();
+    log.info('Duplicate inbound SMS', { from, sid });
+    return;
+  }
+
+  // A trusted contact answering their invitation. STOP from someone who is
+  // also a user still opts them out below.
+  const contactReply = handleContactReply(from, body);
+  if (contactReply === 'accepted' || (contactReply && !getUser(from))) return;
+
   const state = getUserState(from);
-  if (!state.threadOpen) return;
+  const command = parseCommand(body);
+  const inbound = recordMessage(from, {
+    direction: 'inbound',
+    kind: command ? 'command' : 'user_reply',
+    body,
+    channel: 'sms',
+    sid,
+    threadId: state.threadOpen && !command ? state.threadId : null,
+  });
+
+  // Keywords (STOP, PAUSE, SNOOZE, RESUME, STATUS, HELP) come before conversation
+  if (command) {
+    handleCommand(from, command, state);
+    return;
+  }
+
+  if (state.optedOut || !state.threadOpen) return;
 
   try {
-    const reply = await generateAcknowledgment(body);
-    await sendSMS(from, reply);
-    console.log(`[Ember] Replied to ${from}: "${reply}"`);
+    const thread = state.threadId ? listMessages(from, state.threadId) : [inbound];
+    const checkIn = thread.find(message => message.kind === 'check_in');
+
+    // The first reply says whether the check-in was warranted
+    if (checkIn?.anomaly?.detector) {
+      const verdict = await classifyReply(body, checkIn.anomaly);
+      if (verdict) {
+        // Re-read: a STOP or PAUSE may have landed while the model was thinking
+        const latest = getUserState(from);
+        const factor = applyFeedback(latest, checkIn.anomaly, verdict);
+        updateUserState(from, latest);
+        updateMessage(from, { ...inbound, feedback: verdict });
+        log.info('Reply feedback', { phone: from, verdict, type: checkIn.anomaly.type, detector: checkIn.anomaly.detector, factor });
+      }
+    }
+
+    const reply = await generateAcknowledgment(thread, checkIn?.anomaly ?? null);
+    queueMessage(from, { kind: 'reply', body: reply, threadId: state.threadId });
+    log.info('Queued reply', { phone: from, body: reply });
   } catch (err) {
-    console.error('[Ember] Inbound SMS error:', err);
+    log.error('Inbound SMS error', { phone: from, err });
   } finally {
-    state.threadOpen = false;
-    updateUserState(from, state);
+    // Close this thread only; a check-in sent meanwhile opened a new one
+    const latest = getUserState(from);
+    if (latest.threadId === state.threadId) {
+      latest.threadOpen = false;
+      updateUserState(from, latest);
+    }
+  }
+});
+
+/**
+ * POST /sms/status
+ * Twilio status callback — fires as each outbound message moves through
+ * queued → sent → delivered (or undelivered/failed).
+ *
+ * Set TWILIO_STATUS_CALLBACK_URL to this route's public URL; sendSMS()
+ * passes it to Twilio with every message.
+ */
+app.post('/sms/status', requireTwilioSignature, (req, res) => {
+  const { MessageSid: sid, MessageStatus: status, ErrorCode: errorCode } = req.body;
+  if (!sid || !status) return res.status(400).send('MessageSid and MessageStatus required');
+
+  try {
+    const message = recordDeliveryStatus({ sid, status, errorCode: errorCode || null });
+    if (!message) log.warn('Status callback for unknown message', { sid });
+    res.status(204).end();
+  } catch (err) {
+    log.error('Status callback error', { sid, err });
+    res.status(500).send('status update failed');
   }
 });
 
 // Health check
 app.get('/health', (_, res) => res.json({ status: 'ember is burning' }));
 
+/**
+ * GET /metrics
+ * Prometheus scrape endpoint: counters for syncs, anomalies, messages, model
+ * calls and Twilio errors. Aggregates only — no phone numbers.
+ */
+app.get('/metrics', (_, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4');
+  res.send(renderMetrics());
+});
+
 app.listen(PORT, () => {
-  console.log(`🔥 Ember server running on port ${PORT}`);
+  log.info('Ember server running', { port: Number(PORT) });
+  startOutbox();
+  startDigests();
+  startRetention();
 });
@@ -0,0 +1,117 @@
+// server/llm.js
+// Language model providers. Message generation asks for a completion and
+// gets text back; which model answers is configuration.
+//
+//   LLM_PROVIDER  anthropic (default), openai (any OpenAI-compatible API) or none
+//   LLM_MODEL     defaults to claude-sonnet-4-6 / gpt-4o-mini
+//   LLM_BASE_URL  for openai-compatible servers, default https://api.openai.com/v1
+//
+// With no API key, or LLM_PROVIDER=none, there is no provider and Ember falls
+// back to its templates.
+
+import Anthropic from '@anthropic-ai/sdk';
+import { log } from './log.js';
+import { llmCalls, llmLatency } from './telemetry.js';
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+const PROVIDERS = {
+  anthropic: () => {
+    if (!process.env.ANTHROPIC_API_KEY) return null;
+    const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, timeout: REQUEST_TIMEOUT_MS });
+    const model = process.env.LLM_MODEL || 'claude-sonnet-4-6';
+
+    return {
+      name: 'anthropic',
+      model,
+      async complete({ system, prompt, maxTokens }) {
+        const response = await client.messages.create({
+          model,
+          max_tokens: maxTokens,
+          system,
+          messages: [{ role: 'user', content: prompt }],
+        });
+        return response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('')
+          .trim();
+      },
+    };
+  },
+
+  openai: () => {
+    if (!process.env.OPENAI_API_KEY) return null;
+    const baseUrl = (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    const model = process.env.LLM_MODEL || 'gpt-4o-mini';
+
+    return {
+      name: 'openai',
+      model,
+      async complete({ system, prompt, maxTokens }) {
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+          },
+          body: JSON.stringify({
+            model,
+            max_tokens: maxTokens,
+            messages: [
+              { role: 'system', content: system },
+              { role: 'user', content: prompt },
+            ],
+          }),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        if (!response.ok) throw new Error(`${baseUrl} returned ${response.status}`);
+        const data = await response.json();
+        return (data.choices?.[0]?.message?.content ?? '').trim();
+      },
+    };
+  },
+
+  none: () => null,
+};
+
+let provider;
+
+/**
+ * The configured provider, created on first use.
+ * @returns {{name: string, model: string, complete: Function}|null} null when
+ *   no model is configured — callers use templates instead
+ */
+export function getProvider() {
+  if (provider === undefined) {
+    const name = process.env.LLM_PROVIDER || 'anthropic';
+    if (!PROVIDERS[name]) {
+      log.warn('Unknown LLM_PROVIDER; using templates only', { provider: name });
+      provider = null;
+    } else {
+      provider = instrument(PROVIDERS[name]());
+    }
+  }
+  return provider;
+}
+
+// Count every call and time it, whoever is asking
+function instrument(created) {
+  if (!created) return null;
+  return {
+    ...created,
+    async complete(request) {
+      const stopTimer = llmLatency.startTimer({ provider: created.name });
+      try {
+        const text = await created.complete(request);
+        llmCalls.inc({ provider: created.name, outcome: 'ok' });
+        return text;
+      } catch (err) {
+        llmCalls.inc({ provider: created.name, outcome: 'error' });
+        throw err;
+      } finally {
+        stopTimer();
+      }
+    },
+  };
+}
@@ -0,0 +1,69 @@
+// server/log.js
+// Structured logs: one JSON object per line, errors to stderr. Phone numbers
+// are always masked to their last four digits, including inside error text
+// (Twilio names the number it couldn't reach), and message bodies — which are
+// often about someone's health — are left out unless LOG_BODIES=true.
+// Lines written while handling a request carry its requestId.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const LOG_BODIES = process.env.LOG_BODIES === 'true';
+
+const PHONE_FIELDS = new Set(['phone', 'to', 'from']);
+const BODY_FIELDS = new Set(['body', 'reply', 'text', 'output']);
+// E.164 numbers, and bare runs of digits long enough to be a phone number
+const PHONE_IN_TEXT = /\+\d{7,15}\b|\b\d{10,15}\b/g;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run fn with fields (e.g. { requestId }) added to every line it logs,
+ * including from async work it starts.
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+/**
+ * A phone number as it may appear in logs: '***2671'.
+ */
+export function maskPhone(phone) {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  return digits ? `***${digits.slice(-4)}` : null;
+}
+
+/**
+ * Free text (e.g. an error message) with any phone numbers in it masked.
+ */
+export function maskPhones(text) {
+  return typeof text === 'string' ? text.replace(PHONE_IN_TEXT, maskPhone) : text;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const line = { time: new Date().toISOString(), level, msg, ...context.getStore() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (PHONE_FIELDS.has(key)) line[key] = maskPhone(value);
+    else if (BODY_FIELDS.has(key)) line[key] = LOG_BODIES ? value : '[redacted]';
+    else if (value instanceof Error) line[key] = describeError(value);
+    else line[key] = value;
+  }
+
+  const stream = LEVELS[level] >= LEVELS.error ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(line)}\n`);
+}
+
+function describeError(err) {
+  return { message: maskPhones(err.message), code: err.code, stack: maskPhones(err.stack) };
+}
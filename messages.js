@@ -0,0 +1,233 @@
+// server/messages.js
+// Everything Ember says is composed here: check-ins for anomalies and the one
+// reply that closes a thread. A language model phrases them when one is
+// configured (see llm.js); every output passes the same guardrails, and a
+// fixed template stands in whenever the model is missing, fails or says
+// something Ember shouldn't.
+
+import { getProvider } from './llm.js';
+import { METRICS, metricForDetector } from './metrics.js';
+import { log } from './log.js';
+import { llmRejected } from './telemetry.js';
+
+// Core character: warm, brief, never clinical
+const SYSTEM_PROMPT = `You are Ember, a quiet health companion that checks in via SMS when it notices deviations from someone's normal routine.
+
+Your voice is:
+- Warm and human, like a thoughtful friend — not an app or a coach
+- Brief. Always under 10 words. Never more than one sentence.
+- Gentle and non-judgmental. You never diagnose, lecture, or push.
+- Grounded. You acknowledge what they share and leave space for them.
+
+You have two modes:
+
+1. CHECK-IN (proactive): You noticed something off from their routine. Open with a soft question or observation.
+   Examples: "rough night?" / "skipping our run today?" / "take it easy today" / "short one today — everything okay?"
+
+2. REPLY (conversational): They've responded to your check-in. Acknowledge what they said warmly and briefly, then step back. 
+   One response only — you don't keep the conversation going. Let them have the last word.
+   Examples:
+   - "foot is killing me" → "listen to your body — rest up"
+   - "yeah couldn't sleep" → "hope tonight's better"
+   - "just needed a rest day" → "good call"
+   - "I'm fine" → "glad to hear it 🙂"
+   - "stressed about work" → "that makes sense. hope it eases up"
+   - "had a late night" → "rest when you can"
+
+Never ask follow-up questions. Never give advice unless they've shared context that makes one short, caring note feel natural.
+Respond with only the message text — no quotes, no labels, no explanation.`;
+
+const RUN_PHRASE_PROMPT = 'Generate a short observational SMS phrase. Constraints: 2-4 words, no advice, no interpretation, include possessive "our run", return only the phrase.';
+
+// Check-in text per anomaly type: each registered metric's, plus the runs and
+// composite detectors'. Run anomalies are phrased by the model when there is
+// one; these are what everything else uses, and the fallback for runs.
+export const CHECK_IN_TEMPLATES = {
+  ...Object.fromEntries(METRICS.flatMap(metric =>
+    Object.entries(metric.types).map(([direction, type]) => [type, metric.checkIns[direction]])
+  )),
+  skipped_run: 'Skipping our run today?',
+  short_workout: 'Cutting our run short?',
+  long_workout: 'Big one today?',
+  off_day: 'Bit of an off day?',
+};
+
+// sustained_drift check-ins, by drift detector and direction
+export const DRIFT_TEMPLATES = Object.fromEntries(
+  METRICS.filter(metric => metric.drift).map(metric => [metric.drift, metric.driftCheckIns])
+);
+
+const REPLY_TEMPLATE = 'Thanks for sharing.';
+
+const MODEL_PHRASED_TYPES = new Set(['skipped_run', 'short_workout']);
+
+// Guardrails per kind of model output. Check-ins are templates except the
+// run phrase, which may ask; replies and digests never do.
+export const GUARDRAILS = {
+  run_phrase: { minWords: 2, maxWords: 4, allowQuestion: true, mustInclude: 'our run' },
+  reply: { maxWords: 10, allowQuestion: false },
+  digest: { maxWords: 25, maxSentences: 2, allowQuestion: false },
+};
+
+// Ember notices routines; it never sounds like a diagnosis
+const BANNED_TERMS = [
+  'diagnos', 'symptom', 'disorder', 'disease', 'syndrome', 'condition',
+  'insomnia', 'apnea', 'arrhythmia', 'tachycardia', 'bradycardia', 'hypertension',
+  'depression', 'anxiety', 'medication', 'medical', 'doctor', 'clinical', 'patient',
+];
+
+const MAX_LENGTH = 160;
+
+/**
+ * Check generated text against a set of guardrails.
+ * @param {string} text
+ * @param {Object} rules - One of GUARDRAILS
+ * @returns {string|null} the cleaned-up text, or null if it breaks a rule
+ */
+export function applyGuardrails(text, { minWords = 1, maxWords, maxSentences = 1, allowQuestion, mustInclude }) {
+  const cleaned = (text ?? '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["'“‘]+|["'”’]+$/g, '')
+    .trim();
+  if (!cleaned || cleaned.length > MAX_LENGTH) return null;
+
+  const words = cleaned.split(' ').filter(Boolean);
+  if (words.length < minWords || words.length > maxWords) return null;
+
+  const sentences = cleaned.split(/[.!?]+/).map(part => part.trim()).filter(Boolean);
+  if (sentences.length < 1 || sentences.length > maxSentences) return null;
+  if (!allowQuestion && cleaned.includes('?')) return null;
+
+  const lower = cleaned.toLowerCase();
+  if (mustInclude && !lower.includes(mustInclude)) return null;
+  if (BANNED_TERMS.some(term => lower.includes(term))) return null;
+
+  return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+}
+
+/**
+ * The check-in text for an anomaly.
+ * @param {Object} anomaly - From detectAnomalies()
+ * @returns {Promise<string|null>} null only for an anomaly type with no template
+ */
+export async function generateCheckIn(anomaly) {
+  const template = checkInTemplate(anomaly);
+  if (!MODEL_PHRASED_TYPES.has(anomaly.type)) return template;
+
+  const context = {
+    type: anomaly.type,
+    zScore: anomaly.zScore,
+    ...anomaly.context,
+  };
+  const phrase = await complete({
+    system: RUN_PHRASE_PROMPT,
+    prompt: `Structured context:\n${JSON.stringify(context, null, 2)}`,
+    maxTokens: 30,
+  }, 'run_phrase');
+  return phrase ?? template;
+}
+
+/**
+ * The template check-in for an anomaly, as sent when there's no model.
+ * @param {Object} anomaly - From detectAnomalies()
+ * @returns {string|null} null for an anomaly type with no template
+ */
+export function checkInTemplate(anomaly) {
+  if (anomaly.type === 'sustained_drift') {
+    return DRIFT_TEMPLATES[anomaly.detector]?.[anomaly.direction] ?? null;
+  }
+  return CHECK_IN_TEMPLATES[anomaly.type] ?? null;
+}
+
+/**
+ * Close the loop on a thread. The model sees the original check-in, the
+ * anomaly behind it and everything said since.
+ * @param {Array<Object>} thread - Logged messages, oldest first
+ * @param {Object|null} [anomaly] - The anomaly that prompted the check-in, if known
+ * @returns {Promise<string>}
+ */
+export async function generateAcknowledgment(thread, anomaly = null) {
+  const conversationHistory = thread.map(message => ({
+    role: message.direction === 'outbound' ? 'assistant' : 'user',
+    content: message.body,
+  }));
+  const metric = anomaly ? metricForDetector(anomaly.detector) : null;
+  const prompted = metric ? { ...anomaly, metric: { name: metric.label, unit: metric.unit, hint: metric.hint } } : anomaly;
+  const checkInContext = prompted
+    ? `Check-in was prompted by:\n${JSON.stringify(prompted, null, 2)}\n`
+    : '';
+
+  const reply = await complete({
+    system: SYSTEM_PROMPT,
+    prompt: `Mode: REPLY\n${checkInContext}Conversation so far:\n${JSON.stringify(conversationHistory, null, 2)}\n\nWrite Ember's reply.`,
+    maxTokens: 60,
+  }, 'reply');
+  return reply ?? REPLY_TEMPLATE;
+}
+
+/**
+ * The weekly digest: a compact, on-voice summary of the user's week.
+ * @param {Object} week - Facts from buildDigest() in digest.js
+ * @returns {Promise<string>}
+ */
+export async function generateDigest(week) {
+  const digest = await complete({
+    system: SYSTEM_PROMPT,
+    prompt: `Mode: DIGEST\nSummarise their week for them. For the digest only, you may use up to two short sentences, 25 words at most. Observations only — no advice, no questions. If the week was steady, say so warmly.\nTheir week:\n${JSON.stringify(week, null, 2)}\n\nWrite the SMS.`,
+    maxTokens: 80,
+  }, 'digest');
+  return digest ?? digestTemplate(week);
+}
+
+// Deterministic digest: sleep first, then runs, each only if there's data
+function digestTemplate({ sleep, runs, checkIns }) {
+  const parts = [];
+  if (sleep) {
+    if (sleep.shortNights >= 2) {
+      parts.push(`${capitalize(COUNT_WORDS[sleep.shortNights] ?? String(sleep.shortNights))} short nights this week`);
+    } else if (sleep.averageHours >= sleep.usualHours + 0.5) {
+      parts.push('More sleep than usual this week');
+    } else if (sleep.averageHours <= sleep.usualHours - 0.5) {
+      parts.push('A little less sleep than usual this week');
+    } else {
+      parts.push('Sleep right around your usual this week');
+    }
+  }
+  if (runs) {
+    const count = `${capitalize(COUNT_WORDS[runs.count] ?? String(runs.count))} run${runs.count === 1 ? '' : 's'}`;
+    if (runs.count > runs.usualCount) parts.push(`${count}, more than usual`);
+    else if (runs.count < runs.usualCount) parts.push(`${count}, fewer than usual`);
+    else parts.push(`${count}, right on your usual`);
+  }
+
+  const steady = checkIns.length === 0 && !(sleep?.shortNights >= 2);
+  const summary = parts.map(part => `${part}.`).join(' ');
+  return steady ? `Solid week. ${summary}` : summary;
+}
+
+const COUNT_WORDS = ['no', 'one', 'two', 'three', 'four', 'five', 'six', 'seven'];
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Ask the model, and keep its answer only if it passes the guardrails for
+// this kind of message
+async function complete(request, kind) {
+  const provider = getProvider();
+  if (!provider) return null;
+
+  try {
+    const text = await provider.complete(request);
+    const checked = applyGuardrails(text, GUARDRAILS[kind]);
+    if (!checked) {
+      llmRejected.inc({ kind });
+      log.warn('Discarded model output', { kind, output: text });
+    }
+    return checked;
+  } catch (err) {
+    log.error('Model call failed', { provider: provider.name, err });
+    return null;
+  }
+}
@@ -0,0 +1,276 @@
+// server/metrics.js
+// Metric registry — every daily measurement Ember understands. Each entry
+// declares how the metric arrives (input fields and units), what range is
+// plausible, which way a change is worth mentioning, and how to say so.
+// The snapshot schema, baseline stats, detectors and check-in templates are
+// all built from this list, so a new metric is one entry here.
+//
+// Entry fields:
+//   field        stored snapshot field
+//   since        snapshot schema version that added it
+//   label        how STATUS and the model refer to it
+//   unit, min, max
+//   inputs       accepted input fields → conversion to the stored unit
+//   stat         key of its stats in computeBaseline()
+//   concern      direction worth a check-in: 'low', 'high' or 'both'
+//   method, minSpread
+//                scoring defaults (see baseline.js centerAndSpread)
+//   detector     name of its z-score detector; null when bespoke detectors cover it
+//   drift        name of its drift detector, or null
+//   types        anomaly type per direction
+//   checkIns     check-in template per direction
+//   driftCheckIns
+//                sustained_drift template per direction
+//   hint         what a change tends to mean, for the model
+//   context      (value, usual) → anomaly context
+
+import { parseClockTime, zonedParts } from './time.js';
+
+export const METRICS = [
+  {
+    field: 'sleep_duration_hours',
+    since: 1,
+    label: 'sleep',
+    unit: 'hours',
+    min: 0,
+    max: 24,
+    inputs: {
+      sleep_duration_hours: numeric(hours => hours),
+      sleep_duration_minutes: numeric(minutes => minutes / 60),
+    },
+    stat: 'sleepDuration',
+    concern: 'both',
+    method: 'standard',
+    minSpread: 0.25,
+    detector: 'sleep_duration',
+    drift: 'sleep_drift',
+    types: { low: 'short_sleep', high: 'long_sleep' },
+    checkIns: { low: 'Short night?', high: 'Long night?' },
+    driftCheckIns: { low: 'Few short nights lately?', high: 'Sleeping more lately?' },
+    hint: 'Hours asleep last night.',
+    context: (value, usual) => ({
+      differenceHours: +(value - usual).toFixed(1),
+      usualHours: +usual.toFixed(1),
+      actualHours: +value.toFixed(1),
+    }),
+  },
+
+  {
+    field: 'wake_time_hour',
+    since: 1,
+    label: 'wake time',
+    unit: 'hour of day',
+    min: 0,
+    max: 24,
+    inputs: {
+      wake_time_hour: numeric(hour => hour),
+      wake_time: clockHour, // ISO 8601 time or local 'HH:MM'
+    },
+    stat: 'wakeTime',
+    concern: 'both',
+    method: 'standard',
+    minSpread: 0.25,
+    detector: 'wake_time',
+    drift: 'wake_drift',
+    types: { low: 'early_wake', high: 'late_wake' },
+    checkIns: { low: 'Up early?', high: 'Up late?' },
+    driftCheckIns: { low: 'Early mornings lately?', high: 'Later mornings lately?' },
+    hint: 'Local time they got up.',
+    context: (value, usual) => ({
+      differenceMinutes: Math.round((value - usual) * 60),
+      usualWakeHour: usual,
+      actualWakeHour: value,
+    }),
+  },
+
+  // Runs have their own detectors (skipped_run, workout_duration) in detectors.js
+  {
+    field: 'running_minutes',
+    since: 1,
+    label: 'runs',
+    unit: 'minutes',
+    min: 0,
+    max: 24 * 60,
+    inputs: {
+      running_minutes: numeric(minutes => minutes),
+      running_seconds: numeric(seconds => seconds / 60),
+    },
+    stat: 'runMinutes',
+    concern: 'low',
+    method: 'standard',
+    minSpread: 5,
+    detector: null,
+    drift: 'run_drift',
+    types: {},
+    checkIns: {},
+    driftCheckIns: { low: 'Runs feeling shorter lately?', high: 'Running more lately?' },
+    hint: 'Minutes spent running today.',
+    context: (value, usual) => ({
+      usualMinutes: Math.round(usual),
+      actualMinutes: Math.round(value),
+    }),
+  },
+
+  {
+    field: 'resting_hr',
+    since: 1,
+    label: 'resting heart rate',
+    unit: 'bpm',
+    min: 20,
+    max: 250,
+    inputs: {
+      resting_hr: numeric(bpm => bpm),
+    },
+    stat: 'restingHR',
+    concern: 'high',
+    method: 'robust',
+    minSpread: 2,
+    detector: 'resting_hr',
+    drift: 'resting_hr_drift',
+    types: { low: 'low_hr', high: 'elevated_hr' },
+    checkIns: { low: 'Feeling rested?', high: 'Take it easy today?' },
+    driftCheckIns: { low: 'Feeling rested lately?', high: 'Run down lately?' },
+    hint: 'Resting heart rate; a rise often comes with stress, poor sleep or a cold coming on.',
+    context: (value, usual) => ({
+      usualBPM: Math.round(usual),
+      actualBPM: Math.round(value),
+    }),
+  },
+
+  {
+    field: 'hrv_ms',
+    since: 2,
+    label: 'HRV',
+    unit: 'ms',
+    min: 1,
+    max: 300,
+    inputs: {
+      hrv_ms: numeric(ms => ms),
+    },
+    stat: 'hrv',
+    concern: 'low',
+    method: 'robust',
+    minSpread: 3,
+    detector: 'hrv',
+    drift: 'hrv_drift',
+    types: { low: 'low_hrv', high: 'high_hrv' },
+    checkIns: { low: 'Feeling a bit drained?', high: 'Feeling fresh today?' },
+    driftCheckIns: { low: 'Feeling drained lately?', high: 'Feeling fresh lately?' },
+    hint: 'Heart rate variability (SDNN); a drop often means strain, poor recovery or a cold coming on.',
+    context: (value, usual) => ({
+      usualMs: Math.round(usual),
+      actualMs: Math.round(value),
+    }),
+  },
+
+  {
+    field: 'steps',
+    since: 2,
+    label: 'steps',
+    unit: 'steps',
+    min: 0,
+    max: 100000,
+    inputs: {
+      steps: numeric(steps => steps),
+    },
+    stat: 'steps',
+    concern: 'low',
+    method: 'robust',
+    minSpread: 500,
+    detector: 'steps',
+    drift: null,
+    types: { low: 'low_steps', high: 'high_steps' },
+    checkIns: { low: 'Quiet day?', high: 'Busy day on your feet?' },
+    driftCheckIns: {},
+    hint: 'Steps taken today.',
+    context: (value, usual) => ({
+      usualSteps: Math.round(usual),
+      actualSteps: Math.round(value),
+    }),
+  },
+
+  {
+    field: 'respiratory_rate',
+    since: 2,
+    label: 'breathing rate',
+    unit: 'breaths/min',
+    min: 4,
+    max: 60,
+    inputs: {
+      respiratory_rate: numeric(rate => rate),
+    },
+    stat: 'respiratoryRate',
+    concern: 'high',
+    method: 'robust',
+    minSpread: 0.5,
+    detector: 'respiratory_rate',
+    drift: 'respiratory_rate_drift',
+    types: { low: 'low_respiratory_rate', high: 'elevated_respiratory_rate' },
+    checkIns: { low: 'Resting easy?', high: 'Feeling run down?' },
+    driftCheckIns: { low: 'Resting easy lately?', high: 'Feeling run down lately?' },
+    hint: 'Breaths per minute while asleep; a rise is often an early sign of getting ill.',
+    context: (value, usual) => ({
+      usualRate: +usual.toFixed(1),
+      actualRate: +value.toFixed(1),
+    }),
+  },
+
+  {
+    field: 'spo2_percent',
+    since: 2,
+    label: 'blood oxygen',
+    unit: '%',
+    min: 50,
+    max: 100,
+    inputs: {
+      spo2_percent: numeric(percent => percent),
+      spo2_fraction: numeric(fraction => fraction * 100), // HealthKit reports 0–1
+    },
+    stat: 'spo2',
+    concern: 'low',
+    method: 'robust',
+    minSpread: 1,
+    detector: 'spo2',
+    drift: null,
+    types: { low: 'low_spo2', high: 'high_spo2' },
+    checkIns: { low: 'Feeling under the weather?', high: 'Feeling good today?' },
+    driftCheckIns: {},
+    hint: 'Overnight blood oxygen saturation; a dip can come with illness or altitude.',
+    context: (value, usual) => ({
+      usualPercent: +usual.toFixed(1),
+      actualPercent: +value.toFixed(1),
+    }),
+  },
+];
+
+const METRICS_BY_FIELD = new Map(METRICS.map(metric => [metric.field, metric]));
+
+export function getMetric(field) {
+  return METRICS_BY_FIELD.get(field) ?? null;
+}
+
+/**
+ * The metric a detector watches, by detector name (z-score or drift).
+ */
+export function metricForDetector(name) {
+  return METRICS.find(metric => metric.detector === name || metric.drift === name) ?? null;
+}
+
+// Numbers only — "7.5" as a string is a client bug, not a value
+function numeric(convert) {
+  return value => (typeof value === 'number' && Number.isFinite(value) ? convert(value) : null);
+}
+
+/**
+ * Local hour of day (e.g. 6.5 for 06:30) from an ISO time or 'HH:MM'.
+ * Exported so the schema can tell clock inputs from numeric ones.
+ */
+export function clockHour(value, { timeZone }) {
+  if (typeof value !== 'string') return null;
+  const minutes = parseClockTime(value);
+  if (minutes !== null) return minutes / 60;
+
+  if (Number.isNaN(new Date(value).getTime())) return null;
+  const { hour, minute } = zonedParts(value, timeZone);
+  return hour + minute / 60;
+}
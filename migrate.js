@@ -0,0 +1,62 @@
+// server/migrate.js
+// One-shot import of an existing JSON store into SQLite.
+//
+//   npm run migrate -- [data.json] [ember.db]
+//
+// Refuses to import into a database that already has users, so it can't
+// double up anyone's snapshots. The JSON file is kept (upgraded to the current
+// JSON format if it was older) so it can serve as a backup. With STORE_KEY set
+// both files end up encrypted with it.
+
+import { cipherFromEnv } from './encryption.js';
+import { createJsonStorage } from './store-json.js';
+import { createSqliteStorage } from './store-sqlite.js';
+
+const [jsonPath = './data.json', sqlitePath = './ember.db'] = process.argv.slice(2);
+
+const cipher = cipherFromEnv();
+const source = createJsonStorage(jsonPath, { cipher });
+const target = createSqliteStorage(sqlitePath, { cipher });
+
+try {
+  if (target.listPhones().length > 0) {
+    throw new Error(`${sqlitePath} already has data; not importing`);
+  }
+
+  const phones = source.listPhones();
+  let snapshotCount = 0;
+  let messageCount = 0;
+
+  const outbox = source.listPendingOutbound();
+
+  target.transaction(() => {
+    for (const item of outbox) {
+      target.addOutbound(item);
+    }
+    for (const phone of phones) {
+      const user = source.getUser(phone);
+      const state = source.getState(phone);
+      const snapshots = source.listSnapshots(phone);
+      const messages = source.listMessages(phone);
+
+      if (user) target.saveUser(phone, user);
+      if (state) target.saveState(phone, state);
+      for (const snapshot of snapshots) {
+        target.saveSnapshot(phone, snapshot);
+      }
+      for (const message of messages) {
+        target.addMessage(phone, message);
+      }
+      snapshotCount += snapshots.length;
+      messageCount += messages.length;
+    }
+  });
+
+  console.log(`[Ember] Imported ${phones.length} users, ${snapshotCount} snapshots and ${messageCount} messages from ${jsonPath} into ${sqlitePath}`);
+} catch (err) {
+  console.error('[Ember] Migration failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  source.close();
+  target.close();
+}
@@ -0,0 +1,287 @@
+// server/outbox.js
+// Outbound message queue. Every message Ember sends goes through here so it can
+// wait out the user's quiet hours, be retried when a channel has a transient
+// problem, and expire rather than arrive a day late.
+
+import { sendNotification } from './channels.js';
+import { isPaused } from './commands.js';
+import { nextTimeInWindow, endOfLocalDay, DEFAULT_TIME_ZONE } from './time.js';
+import { log, maskPhones } from './log.js';
+import { messagesSent, messagesSuppressed, messagesFailed, twilioErrors } from './telemetry.js';
+import {
+  getUser,
+  getUserState,
+  updateUserState,
+  recordMessage,
+  findMessageBySid,
+  updateMessage,
+  enqueueOutbound,
+  saveOutbound,
+  pendingOutbound,
+} from './store.js';
+
+// Check-ins are only delivered inside this local-time window unless the user sets their own
+export const DEFAULT_DELIVERY_WINDOW = { start: '08:00', end: '21:00' };
+
+// Kinds that wait for the delivery window and expire at the end of the local day
+const WINDOWED_KINDS = new Set(['check_in', 'escalation']);
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000; // doubles each attempt: 1, 2, 4, 8 minutes
+const REPLY_TTL_MS = 60 * 60 * 1000;
+export const REDACTED = '[redacted]';
+
+// Twilio's message lifecycle. Callbacks can arrive out of order, so a status
+// only replaces the current one if it is further along.
+const STATUS_ORDER = {
+  accepted: 0,
+  queued: 0,
+  sending: 1,
+  sent: 2,
+  delivered: 3,
+  undelivered: 3,
+  failed: 3,
+  canceled: 3,
+  read: 4,
+};
+const FAILED_STATUSES = new Set(['undelivered', 'failed']);
+
+let running = null;
+let runAgain = false;
+
+/**
+ * Queue a message for delivery on the user's channel.
+ * Check-ins (and alerts to a trusted contact) wait for the user's delivery
+ * window and expire at the end of their local day. Replies go out right away
+ * and expire after an hour.
+ *
+ * @param {string} phone
+ * @param {Object} message
+ * @param {string} message.kind - 'check_in', 'reply', 'command_reply', 'verification', 'digest',
+ *   or to a trusted contact 'contact_invite', 'contact_reply' or 'escalation'
+ * @param {string} message.body
+ * @param {Object|null} [message.anomaly] - Logged with the message once sent
+ * @param {string|null} [message.threadId] - Logged with the message once sent
+ * @param {string|null} [message.channel] - Send on this channel instead of the user's own
+ * @param {string|null} [message.to] - Send to this number (the user's trusted contact) instead
+ * @param {Date|null} [message.expiresAt] - Overrides the default expiry
+ * @param {boolean} [message.sensitive] - Keep the body out of the message log and server log
+ * @param {Date} [now]
+ * @returns {Object} the queued item
+ */
+export function queueMessage(phone, {
+  kind,
+  body,
+  anomaly = null,
+  threadId = null,
+  channel = null,
+  to = null,
+  expiresAt = null,
+  sensitive = false,
+}, now = new Date()) {
+  const user = getUser(phone);
+  const timeZone = user?.timeZone ?? DEFAULT_TIME_ZONE;
+  const windowed = WINDOWED_KINDS.has(kind);
+
+  const sendAfter = windowed
+    ? nextTimeInWindow(now, user?.deliveryWindow ?? DEFAULT_DELIVERY_WINDOW, timeZone)
+    : now;
+  const expires = expiresAt ?? (windowed
+    ? endOfLocalDay(now, timeZone)
+    : new Date(now.getTime() + REPLY_TTL_MS));
+
+  const item = enqueueOutbound(phone, {
+    kind,
+    body,
+    anomaly,
+    threadId,
+    channel,
+    to,
+    sensitive,
+    sendAfter: sendAfter.toISOString(),
+    expiresAt: expires.toISOString(),
+  });
+
+  if (sendAfter <= now) {
+    processOutbox().catch(err => log.error('Outbox error', { err }));
+  }
+  return item;
+}
+
+/**
+ * Whether a check-in is already waiting to go out to this user.
+ */
+export function hasPendingCheckIn(phone) {
+  return pendingOutbound({ phone }).some(item => item.kind === 'check_in');
+}
+
+/**
+ * Deliver everything that is due. Overlapping calls share one run, and a call
+ * that arrives mid-run triggers one more pass when it finishes.
+ * @returns {Promise<void>}
+ */
+export function processOutbox() {
+  if (running) {
+    runAgain = true;
+    return running;
+  }
+
+  running = (async () => {
+    do {
+      runAgain = false;
+      const now = new Date();
+      for (const item of pendingOutbound({ dueBy: now })) {
+        await deliver(item, now);
+      }
+    } while (runAgain);
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+/**
+ * Poll the queue for deferred and retried messages.
+ * @returns {NodeJS.Timeout}
+ */
+export function startOutbox() {
+  processOutbox().catch(err => log.error('Outbox error', { err }));
+  return setInterval(() => {
+    processOutbox().catch(err => log.error('Outbox error', { err }));
+  }, POLL_INTERVAL_MS);
+}
+
+/**
+ * Record a delivery status reported by Twilio for a message we sent.
+ * A failed check-in closes its thread (there is nothing to reply to) and
+ * counts against the user, so numbers that keep failing stand out.
+ *
+ * @param {Object} update
+ * @param {string} update.sid - Twilio MessageSid
+ * @param {string} update.status - Twilio MessageStatus, e.g. 'delivered'
+ * @param {string|null} [update.errorCode] - Twilio ErrorCode, when delivery failed
+ * @param {Date} [now]
+ * @returns {Object|null} the updated message, or null if the SID is unknown
+ */
+export function recordDeliveryStatus({ sid, status, errorCode = null }, now = new Date()) {
+  const found = findMessageBySid(sid);
+  if (!found) return null;
+
+  const { phone, message } = found;
+  const history = message.statusHistory ?? [];
+  if (history.some(entry => entry.status === status)) return message;
+
+  history.push({ status, at: now.toISOString(), ...(errorCode && { errorCode }) });
+  message.statusHistory = history;
+  if ((STATUS_ORDER[status] ?? -1) >= (STATUS_ORDER[message.status] ?? -1)) {
+    message.status = status;
+  }
+  updateMessage(phone, message);
+
+  // A trusted contact's number failing says nothing about the user's
+  if (FAILED_STATUSES.has(status) && message.to) {
+    log.warn('Delivery to trusted contact failed', { phone, to: message.to, sid, status, errorCode });
+  } else if (FAILED_STATUSES.has(status)) {
+    const state = getUserState(phone);
+    if (message.threadId && state.threadId === message.threadId) {
+      state.threadOpen = false;
+    }
+    state.deliveryFailures = {
+      total: state.deliveryFailures.total + 1,
+      consecutive: state.deliveryFailures.consecutive + 1,
+      lastFailureAt: now.toISOString(),
+      lastErrorCode: errorCode,
+    };
+    updateUserState(phone, state);
+    twilioErrors.inc({ source: 'status_callback', code: errorCode ?? 'none' });
+    log.warn('Delivery failed', { phone, sid, status, errorCode });
+  } else if (status === 'delivered') {
+    const state = getUserState(phone);
+    if (state.deliveryFailures.consecutive > 0) {
+      state.deliveryFailures = { ...state.deliveryFailures, consecutive: 0 };
+      updateUserState(phone, state);
+    }
+  }
+  return message;
+}
+
+async function deliver(item, now) {
+  if (now >= new Date(item.expiresAt)) {
+    saveOutbound({ ...item, status: 'expired' });
+    messagesFailed.inc({ kind: item.kind, reason: 'expired' });
+    log.info('Expired message', { phone: item.phone, kind: item.kind });
+    return;
+  }
+
+  const state = getUserState(item.phone);
+  if (state.optedOut || (WINDOWED_KINDS.has(item.kind) && isPaused(state, now))) {
+    saveOutbound({ ...item, status: 'cancelled', lastError: state.optedOut ? 'opted out' : 'paused' });
+    messagesSuppressed.inc({ kind: item.kind, reason: state.optedOut ? 'opted_out' : 'paused' });
+    return;
+  }
+  if (item.to && !canReachContact(state, item)) {
+    saveOutbound({ ...item, status: 'cancelled', lastError: 'trusted contact removed, declined or turned off' });
+    messagesSuppressed.inc({ kind: item.kind, reason: 'contact_unavailable' });
+    return;
+  }
+
+  const attempts = item.attempts + 1;
+  try {
+    const user = getUser(item.phone) ?? { phone: item.phone };
+    const recipient = item.to
+      ? { phone: item.to, channel: item.channel }
+      : item.channel ? { ...user, channel: item.channel } : user;
+    const { channel, sid, status } = await sendNotification(recipient, item);
+    const body = item.sensitive ? REDACTED : item.body;
+    const message = recordMessage(item.phone, {
+      direction: 'outbound',
+      kind: item.kind,
+      body,
+      channel,
+      sid,
+      status,
+      anomaly: item.anomaly,
+      threadId: item.threadId,
+      to: item.to,
+    });
+    saveOutbound({ ...item, body, status: 'sent', attempts, channel, sid, sentAt: message.createdAt });
+
+    if (item.kind === 'check_in') {
+      // Re-read: the user may have texted while we were waiting on Twilio
+      const latest = getUserState(item.phone);
+      latest.threadOpen = true;
+      latest.threadId = message.id;
+      latest.lastMessageDate = message.createdAt;
+      updateUserState(item.phone, latest);
+    }
+    messagesSent.inc({ kind: item.kind, channel });
+    log.info('Sent message', { phone: item.phone, kind: item.kind, channel, sid, body });
+  } catch (err) {
+    if (isTransient(err) && attempts < MAX_ATTEMPTS) {
+      const retryAt = new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1));
+      saveOutbound({ ...item, attempts, lastError: maskPhones(err.message), sendAfter: retryAt.toISOString() });
+      log.warn('Send failed; will retry', { phone: item.phone, kind: item.kind, attempts, retryAt: retryAt.toISOString(), err });
+    } else {
+      saveOutbound({ ...item, attempts, status: 'failed', lastError: maskPhones(err.message) });
+      messagesFailed.inc({ kind: item.kind, reason: 'error' });
+      log.error('Send failed permanently', { phone: item.phone, kind: item.kind, attempts, err });
+    }
+  }
+}
+
+// Messages to a trusted contact stop as soon as they decline or are removed,
+// and alerts also stop when the user texts CONTACT OFF
+function canReachContact(state, item) {
+  const contact = state.contact;
+  if (contact?.phone !== item.to || contact.status === 'declined') return false;
+  return item.kind !== 'escalation' || (contact.status === 'active' && contact.enabled);
+}
+
+// Rate limits, provider outages and network errors are worth retrying;
+// a rejected number, bounced address or opted-out recipient is not.
+function isTransient(err) {
+  if (err?.permanent) return false;
+  if (typeof err?.status !== 'number') return true;
+  return err.status === 429 || err.status >= 500;
+}
@@ -0,0 +1,61 @@
+// server/ratelimit.js
+// Fixed-window rate limits for routes anyone can reach. Counts live in
+// memory and reset on restart; a limit is a guard against floods and
+// runaway clients, not an accounting system. Over the limit gets a 429
+// with Retry-After.
+
+import { log } from './log.js';
+import { rateLimited } from './telemetry.js';
+
+// Past this many tracked keys, expired windows are swept before adding more
+const SWEEP_THRESHOLD = 10000;
+
+// What a limit counts by. req.ip only reflects X-Forwarded-For from proxies
+// named in TRUST_PROXY. Phone limits on authenticated routes go after the
+// device check, so nobody can use up someone else's allowance.
+const KEYS = {
+  ip: req => req.ip,
+  phone: req => req.phone ?? req.body?.phone,
+};
+
+/**
+ * Express middleware allowing `limit` requests per `windowMs` for each IP or
+ * phone number. Requests without a phone aren't phone-limited.
+ * @param {Object} options
+ * @param {string} options.name - Identifies the limit in logs and metrics, e.g. 'sync_phone'
+ * @param {'ip'|'phone'} options.by
+ * @param {number} options.limit
+ * @param {number} options.windowMs
+ * @returns {Function} middleware
+ */
+export function rateLimit({ name, by, limit, windowMs }) {
+  const windows = new Map(); // IP or phone → { count, resetAt }
+
+  return function limitRate(req, res, next) {
+    const id = KEYS[by](req);
+    if (!id || typeof id !== 'string') return next();
+
+    const now = Date.now();
+    if (windows.size > SWEEP_THRESHOLD) sweep(windows, now);
+
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+    window.count++;
+    if (window.count <= limit) return next();
+
+    const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+    rateLimited.inc({ limit: name });
+    log.warn('Rate limited', { limit: name, [by]: id, retryAfter });
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'too many requests; try again later' });
+  };
+}
+
+function sweep(windows, now) {
+  for (const [id, window] of windows) {
+    if (window.resetAt <= now) windows.delete(id);
+  }
+}
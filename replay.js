@@ -0,0 +1,257 @@
+// server/replay.js
+// Replays a series of daily snapshots through the same baseline and detectors
+// as POST /sync, offline: no store, no SMS, no model. For seeing what a
+// threshold or detector change would have sent before making it.
+//
+//   npm run replay -- history.csv [--config a.json] [--config b.json]
+//                     [--time-zone Europe/London] [--sync-time 08:00] [--summary] [--json]
+//
+// Input is a CSV file with a header row of snapshot fields (date,
+// sleep_duration_hours, ...) or a JSON file holding an array of snapshots or
+// { snapshots: [...] } as sent to /sync/batch. Days are replayed in date
+// order; a day without a timestamp is treated as synced at --sync-time.
+//
+// A config is a JSON file { detectors?: { <name>: settings }, tuning?, stratify? }
+// with detector settings as POST /detectors takes them. Give several to compare
+// them side by side. Check-ins are the templates Ember sends without a model,
+// and each is assumed delivered, so a second sync the same day hits the cooldown.
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { evaluateDay, checkInCandidates, STRATIFICATION_MODES } from './baseline.js';
+import { validateDetectorSettings, DETECTOR_SETTINGS } from './detectors.js';
+import { checkInTemplate } from './messages.js';
+import { normalizeSnapshot, describeErrors } from './snapshots.js';
+import { isSameLocalDay, isValidTimeZone, parseClockTime, zonedParts, DEFAULT_TIME_ZONE } from './time.js';
+
+const USAGE = 'usage: npm run replay -- <snapshots.csv|snapshots.json> [--config file.json ...] '
+  + '[--time-zone zone] [--sync-time HH:MM] [--summary] [--json]';
+
+try {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      config: { type: 'string', multiple: true, default: [] },
+      'time-zone': { type: 'string', default: DEFAULT_TIME_ZONE },
+      'sync-time': { type: 'string', default: '08:00' },
+      summary: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  const [inputPath] = positionals;
+  if (!inputPath) throw new Error(USAGE);
+  const timeZone = options['time-zone'];
+  if (!isValidTimeZone(timeZone)) throw new Error(`--time-zone must be an IANA time zone, e.g. America/New_York`);
+  const syncMinutes = parseClockTime(options['sync-time']);
+  if (syncMinutes === null) throw new Error('--sync-time must be HH:MM');
+
+  const entries = readSnapshots(inputPath, { timeZone, syncMinutes });
+  const configs = options.config.length
+    ? options.config.map(readConfig)
+    : [{ name: 'default', settings: {}, tuning: {} }];
+  const runs = configs.map(config => ({ config: config.name, ...replay(entries, config, timeZone) }));
+
+  if (options.json) {
+    console.log(JSON.stringify(runs, null, 2));
+  } else {
+    if (!options.summary) runs.forEach(printDays);
+    printSummaries(runs);
+  }
+} catch (err) {
+  console.error('[Ember] Replay failed:', err.message);
+  process.exitCode = 1;
+}
+
+/**
+ * Sync each day in turn, carrying snapshots, drift and the last check-in
+ * forward the way the store would between real syncs.
+ */
+function replay(entries, { settings, tuning, stratify }, timeZone) {
+  let snapshots = [];
+  let drift = null;
+  let lastMessageDate = null;
+  const days = [];
+
+  for (const entry of entries) {
+    const now = new Date(entry.timestamp);
+    const result = evaluateDay(entry, { snapshots, drift, settings, tuning, stratify, now, timeZone });
+    drift = result.drift;
+    // Entries come in date order, so replacing a same-day sync keeps the list sorted
+    snapshots = [...snapshots.filter(s => s.date !== entry.date), entry];
+
+    // Most severe anomaly that has a check-in wins, as on /sync
+    const chosen = checkInCandidates(result.anomalies, drift).find(anomaly => checkInTemplate(anomaly)) ?? null;
+    let delivery = null;
+    if (chosen && isSameLocalDay(lastMessageDate, now, timeZone)) {
+      delivery = 'cooldown';
+    } else if (chosen) {
+      delivery = 'sent';
+      lastMessageDate = now.toISOString();
+      if (chosen.type === 'sustained_drift') drift.checkedIn = true;
+    }
+
+    days.push({
+      date: entry.date,
+      stratum: result.baseline?.stratum ?? null,
+      anomalies: result.anomalies.map(({ type, detector, zScore, severity }) => ({
+        type,
+        detector,
+        zScore: zScore ?? null,
+        severity,
+      })),
+      checkIn: chosen && { type: chosen.type, detector: chosen.detector, body: checkInTemplate(chosen) },
+      delivery,
+    });
+  }
+
+  return { days, summary: summarize(days) };
+}
+
+function summarize(days) {
+  const byType = {};
+  for (const { anomalies } of days) {
+    for (const { type } of anomalies) byType[type] = (byType[type] ?? 0) + 1;
+  }
+  return {
+    days: days.length,
+    withBaseline: days.filter(day => day.stratum).length,
+    withAnomalies: days.filter(day => day.anomalies.length).length,
+    anomalies: days.reduce((total, day) => total + day.anomalies.length, 0),
+    sent: days.filter(day => day.delivery === 'sent').length,
+    cooldown: days.filter(day => day.delivery === 'cooldown').length,
+    byType,
+  };
+}
+
+// ─── Input ───────────────────────────────────────────────────────────────────
+
+function readSnapshots(filePath, { timeZone, syncMinutes }) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  let rows;
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    rows = parseCsv(raw);
+  } else {
+    const parsed = parseJson(raw, filePath);
+    rows = Array.isArray(parsed) ? parsed : parsed?.snapshots;
+  }
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error(`${filePath} has no snapshots`);
+  }
+
+  // All or nothing, like /sync/batch: every bad row is listed
+  const entries = [];
+  const invalid = [];
+  for (const [index, row] of rows.entries()) {
+    const timestamp = row.date && !row.timestamp ? localTime(row.date, syncMinutes, timeZone).toISOString() : null;
+    const { entry, errors } = normalizeSnapshot(row, { timeZone, timestamp });
+    if (errors) invalid.push(`row ${index + 1}: ${describeErrors(errors)}`);
+    else entries.push(entry);
+  }
+  if (invalid.length) {
+    throw new Error(`${filePath} has invalid snapshots\n  ${invalid.join('\n  ')}`);
+  }
+
+  // Stable, so two syncs of one day keep their order
+  return entries.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Comma-separated with a header row. Empty cells are left out; numbers are
+// numbers and anything else (dates, times) stays a string.
+function parseCsv(raw) {
+  const [header, ...lines] = raw.split(/\r?\n/).filter(line => line.trim());
+  if (!header) return [];
+  const fields = splitCsvLine(header);
+
+  return lines.map(line => {
+    const row = {};
+    splitCsvLine(line).forEach((value, i) => {
+      if (value === '' || !fields[i]) return;
+      const number = Number(value);
+      row[fields[i]] = Number.isFinite(number) ? number : value;
+    });
+    return row;
+  });
+}
+
+function splitCsvLine(line) {
+  return line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+function readConfig(filePath) {
+  const config = parseJson(fs.readFileSync(filePath, 'utf8'), filePath);
+  const detectors = config.detectors ?? {};
+
+  const settings = {};
+  for (const [name, patch] of Object.entries(detectors)) {
+    const picked = Object.fromEntries(
+      DETECTOR_SETTINGS.filter(key => patch[key] !== undefined).map(key => [key, patch[key]])
+    );
+    const error = validateDetectorSettings(name, picked);
+    if (error) throw new Error(`${filePath}: ${error}`);
+    settings[name] = picked;
+  }
+  if (config.stratify !== undefined && !STRATIFICATION_MODES.includes(config.stratify)) {
+    throw new Error(`${filePath}: stratify must be one of ${STRATIFICATION_MODES.join(', ')}`);
+  }
+
+  return {
+    name: config.name ?? path.basename(filePath, path.extname(filePath)),
+    settings,
+    tuning: config.tuning ?? {},
+    stratify: config.stratify,
+  };
+}
+
+function parseJson(raw, filePath) {
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${filePath} is not valid JSON (${err.message})`);
+  }
+}
+
+// The instant a local clock reads `minutes` past midnight on `date`. Takes
+// the offset at that time, so on a DST changeover day it can be an hour off.
+function localTime(date, minutes, timeZone) {
+  const guess = new Date(`${date}T00:00:00Z`).getTime() + minutes * 60000;
+  const { year, month, day, hour, minute } = zonedParts(guess, timeZone);
+  const offset = Date.UTC(year, month - 1, day, hour, minute) - guess;
+  return new Date(guess - offset);
+}
+
+// ─── Output ──────────────────────────────────────────────────────────────────
+
+function printDays({ config, days }) {
+  console.log(`\n── ${config} ──`);
+  for (const day of days) {
+    const found = day.anomalies
+      .map(a => `${a.type} (${a.detector}${a.zScore !== null ? `, z ${a.zScore.toFixed(2)}` : ''}, severity ${a.severity.toFixed(2)})`)
+      .join(', ');
+    const outcome = day.delivery === 'sent'
+      ? ` → sent: "${day.checkIn.body}"`
+      : day.delivery === 'cooldown' ? ` → cooldown, not sent: "${day.checkIn.body}"` : '';
+    console.log(`${day.date}  ${(day.stratum ?? 'no baseline').padEnd(11)}  ${found || '—'}${outcome}`);
+  }
+}
+
+function printSummaries(runs) {
+  const types = [...new Set(runs.flatMap(run => Object.keys(run.summary.byType)))].sort();
+  const rows = [
+    ['', ...runs.map(run => run.config)],
+    ['days', ...runs.map(run => run.summary.days)],
+    ['with a baseline', ...runs.map(run => run.summary.withBaseline)],
+    ['with anomalies', ...runs.map(run => run.summary.withAnomalies)],
+    ['check-ins sent', ...runs.map(run => run.summary.sent)],
+    ['held by cooldown', ...runs.map(run => run.summary.cooldown)],
+    ['anomalies', ...runs.map(run => run.summary.anomalies)],
+    ...types.map(type => [`  ${type}`, ...runs.map(run => run.summary.byType[type] ?? 0)]),
+  ];
+
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  console.log('');
+  for (const row of rows) {
+    console.log(row.map((cell, column) => String(cell).padEnd(widths[column])).join('   ').trimEnd());
+  }
+}
@@ -0,0 +1,77 @@
+// server/retention.js
+// How long Ember keeps things. Snapshots older than RETENTION_DAYS are
+// deleted, and message bodies older than MESSAGE_RETENTION_DAYS are replaced
+// with a placeholder — the record of a check-in stays, what was said doesn't.
+// Finished outbox items go with the message bodies, and inbound MessageSids
+// kept to spot webhook retries go after a week.
+
+import { REDACTED } from './outbox.js';
+import { pruneSnapshots, redactMessages, pruneOutbound, pruneInboundSids, transaction } from './store.js';
+import { log } from './log.js';
+
+// The baseline reads the last 60 days (30-day window plus a frozen drift)
+const MIN_RETENTION_DAYS = 60;
+const DEFAULT_RETENTION_DAYS = 365;
+const DEFAULT_MESSAGE_RETENTION_DAYS = 90;
+const POLL_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// Twilio gives up retrying a webhook long before this
+const INBOUND_SID_DAYS = 7;
+
+export const RETENTION = {
+  snapshotDays: retentionDays('RETENTION_DAYS', DEFAULT_RETENTION_DAYS, MIN_RETENTION_DAYS),
+  messageDays: retentionDays('MESSAGE_RETENTION_DAYS', DEFAULT_MESSAGE_RETENTION_DAYS, 1),
+};
+
+/**
+ * Delete and redact everything past its retention window.
+ * @param {Date} [now]
+ * @returns {{snapshots: number, messages: number, outbox: number, inboundSids: number}} counts removed or redacted
+ */
+export function pruneExpired(now = new Date()) {
+  // Snapshot dates are local days; a day's slack covers every time zone
+  const snapshotCutoff = new Date(now.getTime() - (RETENTION.snapshotDays + 1) * 86400000)
+    .toISOString()
+    .slice(0, 10);
+  const messageCutoff = new Date(now.getTime() - RETENTION.messageDays * 86400000).toISOString();
+  const sidCutoff = new Date(now.getTime() - INBOUND_SID_DAYS * 86400000).toISOString();
+
+  const pruned = transaction(() => ({
+    snapshots: pruneSnapshots(snapshotCutoff),
+    messages: redactMessages(messageCutoff, REDACTED),
+    outbox: pruneOutbound(messageCutoff),
+    inboundSids: pruneInboundSids(sidCutoff),
+  }));
+  if (Object.values(pruned).some(Boolean)) {
+    log.info('Pruned expired data', pruned);
+  }
+  return pruned;
+}
+
+/**
+ * Prune now and every six hours.
+ * @returns {NodeJS.Timeout}
+ */
+export function startRetention() {
+  runSafely();
+  return setInterval(runSafely, POLL_INTERVAL_MS);
+}
+
+function runSafely() {
+  try {
+    pruneExpired();
+  } catch (err) {
+    log.error('Retention error', { err });
+  }
+}
+
+function retentionDays(name, fallback, minimum) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  const days = Number(raw);
+  if (!Number.isInteger(days) || days < minimum) {
+    log.warn(`${name} must be a whole number of days, at least ${minimum}; using ${fallback}`, { value: raw });
+    return fallback;
+  }
+  return days;
+}
@@ -0,0 +1,107 @@
+// server/snapshots.js
+// The snapshot schema. Everything /sync and /sync/batch accept is checked
+// and converted here before it can reach the baseline — a bad value stored
+// once skews a user's statistics for a month.
+
+import { METRICS, clockHour } from './metrics.js';
+import { isValidDate, localDate, weekdayOfDate } from './time.js';
+
+// Schema version N accepts every metric added in version N or earlier, so the
+// version moves with the metric registry
+export const SNAPSHOT_SCHEMA_VERSION = Math.max(...METRICS.map(metric => metric.since));
+
+/**
+ * Validate a snapshot from a client and convert it to the stored form.
+ * `date` is the user's local day and the key a later sync of that day
+ * replaces; it defaults to the day of `timestamp`. Metrics are optional, but
+ * at least one is required.
+ *
+ * @param {Object} input - Request body (or one entry of a batch)
+ * @param {Object} options
+ * @param {string} options.timeZone - The user's IANA time zone
+ * @param {string|null} [options.timestamp] - Used when the input has none
+ * @param {string} [options.earliest] - First date (YYYY-MM-DD) accepted
+ * @param {string} [options.latest] - Last date accepted, usually the user's today
+ * @returns {{entry: Object|null, errors: Object|null}} errors maps input field → message
+ */
+export function normalizeSnapshot(input, { timeZone, timestamp = null, earliest = null, latest = null }) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { entry: null, errors: { snapshot: 'must be an object' } };
+  }
+
+  const errors = {};
+  const version = input.schemaVersion ?? SNAPSHOT_SCHEMA_VERSION;
+  const schema = schemaFor(version);
+  if (!schema) {
+    return { entry: null, errors: { schemaVersion: `must be an integer from 1 to ${SNAPSHOT_SCHEMA_VERSION}` } };
+  }
+
+  if (input.date !== undefined && !isValidDate(input.date)) {
+    errors.date = 'must be a date as YYYY-MM-DD';
+  }
+  const time = input.timestamp ?? timestamp;
+  if (time !== null && (typeof time !== 'string' || Number.isNaN(new Date(time).getTime()))) {
+    errors.timestamp = 'must be an ISO 8601 time';
+  }
+  if (input.weekday !== undefined && !(Number.isInteger(input.weekday) && input.weekday >= 1 && input.weekday <= 7)) {
+    errors.weekday = 'must be an integer from 1 (Sunday) to 7 (Saturday)';
+  }
+
+  const metrics = {};
+  for (const { field, min, max, inputs } of schema) {
+    const given = Object.keys(inputs).filter(key => input[key] !== undefined && input[key] !== null);
+    if (given.length > 1) {
+      for (const key of given) errors[key] = `send only one of ${given.join(', ')}`;
+      continue;
+    }
+    if (given.length === 0) continue;
+
+    const [key] = given;
+    const value = inputs[key](input[key], { timeZone });
+    if (value === null) {
+      errors[key] = inputs[key] === clockHour ? 'must be an ISO 8601 time or HH:MM' : 'must be a number';
+    } else if (value < min || value > max) {
+      errors[key] = key === field
+        ? `must be between ${min} and ${max}`
+        : `must convert to between ${min} and ${max} ${field}`;
+    } else {
+      // Converted values are rounded so 450 minutes doesn't store as 7.500000000000001
+      metrics[field] = key === field ? value : +value.toFixed(4);
+    }
+  }
+
+  const date = input.date ?? (time !== null && !errors.timestamp ? localDate(time, timeZone) : null);
+  if (!date && !errors.date && !errors.timestamp) errors.date = 'date or timestamp required';
+  if (date && !errors.date && !errors.timestamp) {
+    const field = input.date !== undefined ? 'date' : 'timestamp';
+    if (latest && date > latest) errors[field] = `must not be after ${latest}`;
+    else if (earliest && date < earliest) errors[field] = `must not be before ${earliest}`;
+  }
+  if (Object.keys(metrics).length === 0 && !Object.keys(errors).length) {
+    errors.snapshot = `at least one of ${schema.map(metric => metric.field).join(', ')} required`;
+  }
+  if (Object.keys(errors).length) return { entry: null, errors };
+
+  return {
+    entry: {
+      schemaVersion: version,
+      date,
+      timestamp: time,
+      weekday: input.weekday ?? weekdayOfDate(date),
+      ...metrics,
+    },
+    errors: null,
+  };
+}
+
+/**
+ * One line describing a rejected snapshot, for the server log.
+ */
+export function describeErrors(errors) {
+  return Object.entries(errors).map(([field, message]) => `${field} ${message}`).join('; ');
+}
+
+function schemaFor(version) {
+  if (!Number.isInteger(version) || version < 1 || version > SNAPSHOT_SCHEMA_VERSION) return null;
+  return METRICS.filter(metric => metric.since <= version);
+}
@@ -0,0 +1,386 @@
+// server/store-json.js
+// JSON file storage adapter. Writes are atomic (temp file + rename), the file
+// is locked to one server process, and a corrupt file stops startup instead of
+// being silently replaced with an empty database. With a cipher the whole file
+// is encrypted (see encryption.js).
+
+import fs from 'fs';
+import path from 'path';
+import { isSealed } from './encryption.js';
+import { localDate, DEFAULT_TIME_ZONE } from './time.js';
+
+// Upgrades keyed by the version they produce.
+// v1: { users, states } with each state's snapshots in a `baseline` array
+// v2: { version, users, states, snapshots } with snapshots kept per phone
+const MIGRATIONS = {
+  2: data => {
+    const snapshots = {};
+    const states = {};
+    for (const [phone, { baseline, ...state }] of Object.entries(data.states)) {
+      states[phone] = state;
+      snapshots[phone] = Array.isArray(baseline) ? baseline : [];
+    }
+    return { ...data, states, snapshots };
+  },
+  // v3: adds `messages`, the conversation log kept per phone
+  3: data => ({ ...data, messages: {} }),
+  // v4: adds `outbox`, queued outbound SMS across all users
+  4: data => ({ ...data, outbox: [] }),
+  // v5: snapshots carry a `date` (YYYY-MM-DD) and there is one per date; older
+  // entries take the date from their timestamp in the user's time zone (not
+  // UTC, which would merge an evening with the next morning west of UTC) and
+  // the last sync of a day wins
+  5: data => {
+    const snapshots = {};
+    for (const [phone, entries] of Object.entries(data.snapshots)) {
+      const timeZone = data.users[phone]?.timeZone ?? DEFAULT_TIME_ZONE;
+      const latest = new Map();
+      const undated = [];
+      for (const entry of entries) {
+        const date = entry.date ?? (entry.timestamp ? localDate(entry.timestamp, timeZone) : null);
+        if (date) latest.set(date, { ...entry, date });
+        else undated.push(entry);
+      }
+      snapshots[phone] = [...undated, ...[...latest.values()].sort(byDate)];
+    }
+    return { ...data, snapshots };
+  },
+  // v6: adds `inboundSids`, Twilio MessageSids already handled and when
+  6: data => ({ ...data, inboundSids: {} }),
+};
+const CURRENT_VERSION = 6;
+
+/**
+ * Open (or create) a JSON data file.
+ * @param {string} filePath - Location of the data file, e.g. ./data.json
+ * @param {Object} [options]
+ * @param {Object} [options.cipher] - Encrypt the file (see encryption.js)
+ * @returns {Object} storage adapter (see store.js)
+ */
+export function createJsonStorage(filePath, { cipher = null } = {}) {
+  const dataPath = path.resolve(filePath);
+  acquireLock(dataPath);
+
+  const { data: loaded, stale } = loadData(dataPath, cipher);
+  const db = migrate(loaded);
+  let transactionDepth = 0;
+
+  function save() {
+    if (transactionDepth > 0) return; // written once when the transaction ends
+    const contents = JSON.stringify(db, null, 2);
+    writeAtomic(dataPath, cipher ? cipher.seal(contents) : contents);
+  }
+
+  // Upgrade the format, and encrypt a plaintext file or one sealed with a
+  // previous key, by writing it straight back
+  if ((loaded.version !== CURRENT_VERSION || stale) && fs.existsSync(dataPath)) {
+    save();
+  }
+
+  return {
+    driver: 'json',
+
+    // Reads hand out copies so callers can't change the store without saving
+
+    getUser(phone) {
+      return structuredClone(db.users[phone] ?? null);
+    },
+
+    saveUser(phone, user) {
+      db.users[phone] = user;
+      save();
+    },
+
+    getState(phone) {
+      return structuredClone(db.states[phone] ?? null);
+    },
+
+    saveState(phone, state) {
+      db.states[phone] = state;
+      save();
+    },
+
+    listSnapshots(phone, limit = Infinity) {
+      const snapshots = structuredClone(db.snapshots[phone] ?? []);
+      return Number.isFinite(limit) ? snapshots.slice(-limit) : snapshots;
+    },
+
+    saveSnapshot(phone, snapshot) {
+      const snapshots = db.snapshots[phone] ?? [];
+      const index = snapshot.date ? snapshots.findIndex(s => s.date === snapshot.date) : -1;
+      if (index === -1) {
+        snapshots.push(snapshot);
+        snapshots.sort(byDate);
+      } else {
+        snapshots[index] = snapshot;
+      }
+      db.snapshots[phone] = snapshots;
+      save();
+      return index !== -1;
+    },
+
+    listMessages(phone, limit = Infinity) {
+      const messages = structuredClone(db.messages[phone] ?? []);
+      return Number.isFinite(limit) ? messages.slice(-limit) : messages;
+    },
+
+    addMessage(phone, message) {
+      db.messages[phone] = [...(db.messages[phone] ?? []), message];
+      save();
+    },
+
+    findMessageBySid(sid) {
+      for (const [phone, messages] of Object.entries(db.messages)) {
+        const message = messages.find(m => m.sid === sid);
+        if (message) return { phone, message: structuredClone(message) };
+      }
+      return null;
+    },
+
+    saveMessage(phone, message) {
+      const messages = db.messages[phone] ?? [];
+      const index = messages.findIndex(m => m.id === message.id);
+      if (index === -1) return;
+      messages[index] = message;
+      save();
+    },
+
+    addOutbound(item) {
+      db.outbox.push(item);
+      save();
+    },
+
+    saveOutbound(item) {
+      const index = db.outbox.findIndex(existing => existing.id === item.id);
+      if (index === -1) db.outbox.push(item);
+      else db.outbox[index] = item;
+      save();
+    },
+
+    listPendingOutbound() {
+      return structuredClone(db.outbox.filter(item => item.status === 'pending'))
+        .sort((a, b) => new Date(a.sendAfter) - new Date(b.sendAfter));
+    },
+
+    listOutbound(phone) {
+      return structuredClone(db.outbox.filter(item => item.phone === phone));
+    },
+
+    deleteAccount(phone) {
+      delete db.users[phone];
+      delete db.states[phone];
+      delete db.snapshots[phone];
+      delete db.messages[phone];
+      db.outbox = db.outbox.filter(item => item.phone !== phone);
+      save();
+    },
+
+    deleteSnapshotsBefore(date) {
+      let deleted = 0;
+      for (const [phone, snapshots] of Object.entries(db.snapshots)) {
+        const kept = snapshots.filter(s => !s.date || s.date >= date);
+        deleted += snapshots.length - kept.length;
+        db.snapshots[phone] = kept;
+      }
+      if (deleted) save();
+      return deleted;
+    },
+
+    redactMessagesBefore(time, placeholder) {
+      let redacted = 0;
+      for (const messages of Object.values(db.messages)) {
+        for (const message of messages) {
+          if (message.createdAt < time && message.body !== placeholder) {
+            message.body = placeholder;
+            redacted++;
+          }
+        }
+      }
+      if (redacted) save();
+      return redacted;
+    },
+
+    deleteOutboundBefore(time) {
+      const kept = db.outbox.filter(item => item.status === 'pending' || item.createdAt >= time);
+      const deleted = db.outbox.length - kept.length;
+      db.outbox = kept;
+      if (deleted) save();
+      return deleted;
+    },
+
+    claimInboundSid(sid, time) {
+      if (Object.hasOwn(db.inboundSids, sid)) return false;
+      db.inboundSids[sid] = time;
+      save();
+      return true;
+    },
+
+    deleteInboundSidsBefore(time) {
+      const expired = Object.keys(db.inboundSids).filter(sid => db.inboundSids[sid] < time);
+      for (const sid of expired) delete db.inboundSids[sid];
+      if (expired.length) save();
+      return expired.length;
+    },
+
+    listPhones() {
+      return [...new Set([
+        ...Object.keys(db.users),
+        ...Object.keys(db.states),
+        ...Object.keys(db.snapshots),
+        ...Object.keys(db.messages),
+      ])];
+    },
+
+    /**
+     * Run several writes as one file write. If fn throws, nothing is kept.
+     * @param {Function} fn
+     */
+    transaction(fn) {
+      const before = structuredClone(db);
+      transactionDepth++;
+      try {
+        const result = fn();
+        transactionDepth--;
+        save();
+        return result;
+      } catch (err) {
+        transactionDepth--;
+        Object.assign(db, before);
+        throw err;
+      }
+    },
+
+    close() {
+      releaseLock(dataPath);
+    },
+  };
+}
+
+// Returns the file's contents and whether it needs rewriting to be sealed
+// with the current key
+function loadData(dataPath, cipher) {
+  let raw;
+  try {
+    raw = fs.readFileSync(dataPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {
+        data: { version: CURRENT_VERSION, users: {}, states: {}, snapshots: {}, messages: {}, outbox: [], inboundSids: {} },
+        stale: false,
+      };
+    }
+    throw err;
+  }
+
+  let stale = Boolean(cipher);
+  if (isSealed(raw)) {
+    if (!cipher) {
+      throw new Error(`${dataPath} is encrypted but STORE_KEY is not set; refusing to start`);
+    }
+    stale = !cipher.isCurrent(raw);
+    try {
+      raw = cipher.open(raw);
+    } catch (err) {
+      throw new Error(`${dataPath} could not be decrypted (${err.message}); refusing to start`);
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${dataPath} is not valid JSON (${err.message}); refusing to start with an empty store`);
+  }
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new Error(`${dataPath} does not contain an Ember store; refusing to start with an empty store`);
+  }
+
+  return {
+    data: {
+      version: Number.isInteger(parsed.version) ? parsed.version : 1,
+      users: isPlainObject(parsed.users) ? parsed.users : {},
+      states: isPlainObject(parsed.states) ? parsed.states : {},
+      snapshots: isPlainObject(parsed.snapshots) ? parsed.snapshots : {},
+      messages: isPlainObject(parsed.messages) ? parsed.messages : {},
+      outbox: Array.isArray(parsed.outbox) ? parsed.outbox : [],
+      inboundSids: isPlainObject(parsed.inboundSids) ? parsed.inboundSids : {},
+    },
+    stale,
+  };
+}
+
+function migrate(data) {
+  if (data.version > CURRENT_VERSION) {
+    throw new Error(`data file version ${data.version} is newer than this server supports (${CURRENT_VERSION})`);
+  }
+  let migrated = data;
+  for (let version = data.version + 1; version <= CURRENT_VERSION; version++) {
+    migrated = { ...MIGRATIONS[version](migrated), version };
+  }
+  return migrated;
+}
+
+function writeAtomic(dataPath, contents) {
+  fs.mkdirSync(path.dirname(dataPath), { recursive: true });
+  const tmpPath = `${dataPath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, dataPath);
+}
+
+// ── Process lock ──────────────────────────────────────────────────────────────
+// One server per data file. A lock left behind by a process that has since
+// exited is taken over.
+
+function acquireLock(dataPath) {
+  const lockPath = `${dataPath}.lock`;
+  fs.mkdirSync(path.dirname(dataPath), { recursive: true });
+
+  try {
+    fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    const holder = Number(fs.readFileSync(lockPath, 'utf8'));
+    if (holder !== process.pid && isRunning(holder)) {
+      throw new Error(`${dataPath} is locked by process ${holder}`);
+    }
+    fs.writeFileSync(lockPath, String(process.pid));
+  }
+
+  process.once('exit', () => releaseLock(dataPath));
+}
+
+function releaseLock(dataPath) {
+  const lockPath = `${dataPath}.lock`;
+  try {
+    if (Number(fs.readFileSync(lockPath, 'utf8')) === process.pid) {
+      fs.unlinkSync(lockPath);
+    }
+  } catch {
+    // Already gone
+  }
+}
+
+function isRunning(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Oldest first; snapshots without a date sort before any dated one
+function byDate(a, b) {
+  return (a.date ?? '').localeCompare(b.date ?? '');
+}
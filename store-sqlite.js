@@ -0,0 +1,348 @@
+// server/store-sqlite.js
+// SQLite storage adapter (better-sqlite3). One row per user, per state and per
+// daily snapshot. Schema changes are numbered migrations tracked in user_version.
+// With a cipher each row's `data` is encrypted (see encryption.js); the phone,
+// sid, status and date columns stay readable because lookups use them.
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { isSealed } from './encryption.js';
+import { localDate, DEFAULT_TIME_ZONE } from './time.js';
+
+// Each entry upgrades the schema by one version: SQL, or a function given the
+// database for changes SQL can't express. Never edit a shipped migration.
+const MIGRATIONS = [
+  `CREATE TABLE users (
+     phone TEXT PRIMARY KEY,
+     data TEXT NOT NULL
+   );
+   CREATE TABLE states (
+     phone TEXT PRIMARY KEY,
+     data TEXT NOT NULL
+   );
+   CREATE TABLE snapshots (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     phone TEXT NOT NULL,
+     data TEXT NOT NULL
+   );
+   CREATE INDEX snapshots_by_phone ON snapshots (phone, id);`,
+
+  `CREATE TABLE messages (
+     id TEXT PRIMARY KEY,
+     phone TEXT NOT NULL,
+     sid TEXT,
+     data TEXT NOT NULL
+   );
+   CREATE INDEX messages_by_phone ON messages (phone);
+   CREATE INDEX messages_by_sid ON messages (sid);`,
+
+  `CREATE TABLE outbox (
+     id TEXT PRIMARY KEY,
+     phone TEXT NOT NULL,
+     status TEXT NOT NULL,
+     send_after TEXT NOT NULL,
+     data TEXT NOT NULL
+   );
+   CREATE INDEX outbox_pending ON outbox (status, send_after);`,
+
+  // One snapshot per local date. Existing rows are dated from their timestamp
+  // in the user's time zone (the UTC date would merge an evening and the next
+  // morning for anyone west of UTC), and only the last sync of each day is kept.
+  db => {
+    db.exec('ALTER TABLE snapshots ADD COLUMN date TEXT');
+    const timeZones = new Map(
+      db.prepare('SELECT phone, data FROM users').all().map(row => [row.phone, JSON.parse(row.data).timeZone])
+    );
+    const setDate = db.prepare('UPDATE snapshots SET date = ?, data = ? WHERE id = ?');
+    for (const { id, phone, data } of db.prepare('SELECT id, phone, data FROM snapshots').all()) {
+      const snapshot = JSON.parse(data);
+      const date = snapshotDate(snapshot, timeZones.get(phone));
+      if (date) setDate.run(date, JSON.stringify({ ...snapshot, date }), id);
+    }
+    db.exec(`DELETE FROM snapshots WHERE date IS NOT NULL AND id NOT IN (
+       SELECT MAX(id) FROM snapshots WHERE date IS NOT NULL GROUP BY phone, date
+     );
+     CREATE UNIQUE INDEX snapshots_by_date ON snapshots (phone, date);`);
+  },
+
+  // Holds 'key_check', a value sealed with the store key, so a wrong key is
+  // caught at startup rather than on the first read
+  `CREATE TABLE meta (
+     name TEXT PRIMARY KEY,
+     value TEXT NOT NULL
+   );`,
+
+  // Twilio MessageSids already handled, so a retried webhook is ignored
+  `CREATE TABLE inbound_sids (
+     sid TEXT PRIMARY KEY,
+     received_at TEXT NOT NULL
+   );
+   CREATE INDEX inbound_sids_by_time ON inbound_sids (received_at);`,
+];
+
+// Tables with an encrypted `data` column, and the column that identifies a row
+const SEALED_TABLES = { users: 'phone', states: 'phone', snapshots: 'id', messages: 'id', outbox: 'id' };
+const KEY_CHECK = 'ember';
+
+/**
+ * Open (or create) an SQLite database and bring its schema up to date.
+ * @param {string} filePath - Location of the database file, e.g. ./ember.db
+ * @param {Object} [options]
+ * @param {Object} [options.cipher] - Encrypt row data (see encryption.js)
+ * @returns {Object} storage adapter (see store.js)
+ */
+export function createSqliteStorage(filePath, { cipher = null } = {}) {
+  const dbPath = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  migrate(db);
+
+  function seal(value) {
+    const json = JSON.stringify(value);
+    return cipher ? cipher.seal(json) : json;
+  }
+
+  function parseRow(row) {
+    if (!row) return null;
+    return JSON.parse(isSealed(row.data) ? cipher.open(row.data) : row.data);
+  }
+
+  try {
+    checkKey(db, cipher, parseRow, seal);
+  } catch (err) {
+    db.close();
+    throw new Error(`${dbPath} ${err.message}; refusing to start`);
+  }
+
+  const statements = {
+    getUser: db.prepare('SELECT data FROM users WHERE phone = ?'),
+    saveUser: db.prepare(`INSERT INTO users (phone, data) VALUES (?, ?)
+      ON CONFLICT (phone) DO UPDATE SET data = excluded.data`),
+    getState: db.prepare('SELECT data FROM states WHERE phone = ?'),
+    saveState: db.prepare(`INSERT INTO states (phone, data) VALUES (?, ?)
+      ON CONFLICT (phone) DO UPDATE SET data = excluded.data`),
+    listSnapshots: db.prepare(`SELECT data FROM (
+        SELECT id, date, data FROM snapshots WHERE phone = ? ORDER BY date DESC, id DESC LIMIT ?
+      ) ORDER BY date ASC, id ASC`),
+    hasSnapshot: db.prepare('SELECT 1 FROM snapshots WHERE phone = ? AND date = ?'),
+    saveSnapshot: db.prepare(`INSERT INTO snapshots (phone, date, data) VALUES (?, ?, ?)
+      ON CONFLICT (phone, date) DO UPDATE SET data = excluded.data`),
+    listMessages: db.prepare(`SELECT data FROM (
+        SELECT rowid, data FROM messages WHERE phone = ? ORDER BY rowid DESC LIMIT ?
+      ) ORDER BY rowid ASC`),
+    addMessage: db.prepare('INSERT INTO messages (id, phone, sid, data) VALUES (?, ?, ?, ?)'),
+    findMessageBySid: db.prepare('SELECT phone, data FROM messages WHERE sid = ?'),
+    saveMessage: db.prepare('UPDATE messages SET data = ? WHERE id = ? AND phone = ?'),
+    saveOutbound: db.prepare(`INSERT INTO outbox (id, phone, status, send_after, data) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET status = excluded.status, send_after = excluded.send_after, data = excluded.data`),
+    listPendingOutbound: db.prepare(`SELECT data FROM outbox WHERE status = 'pending' ORDER BY send_after`),
+    listOutbound: db.prepare('SELECT data FROM outbox WHERE phone = ? ORDER BY send_after'),
+    deleteUser: db.prepare('DELETE FROM users WHERE phone = ?'),
+    deleteState: db.prepare('DELETE FROM states WHERE phone = ?'),
+    deleteSnapshots: db.prepare('DELETE FROM snapshots WHERE phone = ?'),
+    deleteMessages: db.prepare('DELETE FROM messages WHERE phone = ?'),
+    deleteOutbound: db.prepare('DELETE FROM outbox WHERE phone = ?'),
+    deleteSnapshotsBefore: db.prepare('DELETE FROM snapshots WHERE date < ?'),
+    // Row data may be encrypted, so retention filters on it in JS
+    allMessages: db.prepare('SELECT id, data FROM messages'),
+    updateMessage: db.prepare('UPDATE messages SET data = ? WHERE id = ?'),
+    finishedOutbound: db.prepare(`SELECT id, data FROM outbox WHERE status != 'pending'`),
+    deleteOutboundById: db.prepare('DELETE FROM outbox WHERE id = ?'),
+    claimInboundSid: db.prepare(`INSERT INTO inbound_sids (sid, received_at) VALUES (?, ?)
+      ON CONFLICT (sid) DO NOTHING`),
+    deleteInboundSidsBefore: db.prepare('DELETE FROM inbound_sids WHERE received_at < ?'),
+    listPhones: db.prepare(`SELECT phone FROM users
+      UNION SELECT phone FROM states
+      UNION SELECT phone FROM snapshots
+      UNION SELECT phone FROM messages`),
+  };
+
+  return {
+    driver: 'sqlite',
+
+    getUser(phone) {
+      return parseRow(statements.getUser.get(phone));
+    },
+
+    saveUser(phone, user) {
+      statements.saveUser.run(phone, seal(user));
+    },
+
+    getState(phone) {
+      return parseRow(statements.getState.get(phone));
+    },
+
+    saveState(phone, state) {
+      statements.saveState.run(phone, seal(state));
+    },
+
+    listSnapshots(phone, limit = Infinity) {
+      // SQLite treats a negative LIMIT as "no limit"
+      return statements.listSnapshots
+        .all(phone, Number.isFinite(limit) ? limit : -1)
+        .map(parseRow);
+    },
+
+    saveSnapshot(phone, snapshot) {
+      const date = snapshot.date ?? null;
+      const replaced = date !== null && Boolean(statements.hasSnapshot.get(phone, date));
+      statements.saveSnapshot.run(phone, date, seal(snapshot));
+      return replaced;
+    },
+
+    listMessages(phone, limit = Infinity) {
+      return statements.listMessages
+        .all(phone, Number.isFinite(limit) ? limit : -1)
+        .map(parseRow);
+    },
+
+    addMessage(phone, message) {
+      statements.addMessage.run(message.id, phone, message.sid ?? null, seal(message));
+    },
+
+    findMessageBySid(sid) {
+      const row = statements.findMessageBySid.get(sid);
+      return row ? { phone: row.phone, message: parseRow(row) } : null;
+    },
+
+    saveMessage(phone, message) {
+      statements.saveMessage.run(seal(message), message.id, phone);
+    },
+
+    addOutbound(item) {
+      statements.saveOutbound.run(item.id, item.phone, item.status, item.sendAfter, seal(item));
+    },
+
+    saveOutbound(item) {
+      statements.saveOutbound.run(item.id, item.phone, item.status, item.sendAfter, seal(item));
+    },
+
+    listPendingOutbound() {
+      return statements.listPendingOutbound.all().map(parseRow);
+    },
+
+    listOutbound(phone) {
+      return statements.listOutbound.all(phone).map(parseRow);
+    },
+
+    deleteAccount(phone) {
+      db.transaction(() => {
+        statements.deleteUser.run(phone);
+        statements.deleteState.run(phone);
+        statements.deleteSnapshots.run(phone);
+        statements.deleteMessages.run(phone);
+        statements.deleteOutbound.run(phone);
+      })();
+    },
+
+    deleteSnapshotsBefore(date) {
+      return statements.deleteSnapshotsBefore.run(date).changes;
+    },
+
+    redactMessagesBefore(time, placeholder) {
+      return db.transaction(() => {
+        let redacted = 0;
+        for (const row of statements.allMessages.all()) {
+          const message = parseRow(row);
+          if (message.createdAt < time && message.body !== placeholder) {
+            statements.updateMessage.run(seal({ ...message, body: placeholder }), row.id);
+            redacted++;
+          }
+        }
+        return redacted;
+      })();
+    },
+
+    deleteOutboundBefore(time) {
+      return db.transaction(() => {
+        let deleted = 0;
+        for (const row of statements.finishedOutbound.all()) {
+          if (parseRow(row).createdAt < time) {
+            statements.deleteOutboundById.run(row.id);
+            deleted++;
+          }
+        }
+        return deleted;
+      })();
+    },
+
+    claimInboundSid(sid, time) {
+      return statements.claimInboundSid.run(sid, time).changes === 1;
+    },
+
+    deleteInboundSidsBefore(time) {
+      return statements.deleteInboundSidsBefore.run(time).changes;
+    },
+
+    listPhones() {
+      return statements.listPhones.all().map(row => row.phone);
+    },
+
+    /**
+     * Run several writes as one transaction (all or nothing).
+     * @param {Function} fn
+     */
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+function migrate(db) {
+  const version = db.pragma('user_version', { simple: true });
+  if (version > MIGRATIONS.length) {
+    throw new Error(`database schema version ${version} is newer than this server supports (${MIGRATIONS.length})`);
+  }
+
+  for (let next = version + 1; next <= MIGRATIONS.length; next++) {
+    const migration = MIGRATIONS[next - 1];
+    db.transaction(() => {
+      if (typeof migration === 'function') migration(db);
+      else db.exec(migration);
+      db.pragma(`user_version = ${next}`);
+    })();
+  }
+}
+
+// A pre-v4 snapshot's local date, from its timestamp in the user's time zone
+function snapshotDate(snapshot, timeZone) {
+  if (snapshot.date) return snapshot.date;
+  return snapshot.timestamp ? localDate(snapshot.timestamp, timeZone ?? DEFAULT_TIME_ZONE) : null;
+}
+
+// Refuse a database encrypted with an unknown key (or with no key set), and
+// bring every row onto the current key: plaintext rows when encryption is
+// first turned on, rows sealed with a previous key after a rotation
+function checkKey(db, cipher, parseRow, seal) {
+  const check = db.prepare(`SELECT value FROM meta WHERE name = 'key_check'`).get();
+  if (check && !cipher) {
+    throw new Error('is encrypted but STORE_KEY is not set');
+  }
+  if (check) {
+    try {
+      cipher.open(check.value);
+    } catch (err) {
+      throw new Error(`could not be decrypted (${err.message})`);
+    }
+  }
+  if (!cipher || (check && cipher.isCurrent(check.value))) return;
+
+  db.transaction(() => {
+    for (const [table, key] of Object.entries(SEALED_TABLES)) {
+      const update = db.prepare(`UPDATE ${table} SET data = ? WHERE ${key} = ?`);
+      for (const row of db.prepare(`SELECT ${key} AS key, data FROM ${table}`).all()) {
+        update.run(seal(parseRow(row)), row.key);
+      }
+    }
+    db.prepare(`INSERT INTO meta (name, value) VALUES ('key_check', ?)
+      ON CONFLICT (name) DO UPDATE SET value = excluded.value`).run(cipher.seal(KEY_CHECK));
+  })();
+}
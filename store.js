@@ -1,60 +1,415 @@
-import fs from 'fs';
-import path from 'path';
+// server/store.js
+// User state storage. Routes talk to these functions; the bytes live in a
+// pluggable adapter chosen by STORE_DRIVER: 'json' (default) or 'sqlite'.
+//
+// An adapter implements:
+//   getUser(phone) / saveUser(phone, user)
+//   getState(phone) / saveState(phone, state)
+//   listSnapshots(phone, limit) — most recent `limit` by date, oldest first
+//   saveSnapshot(phone, snapshot) — upserts by snapshot.date; true if it replaced one
+//   listMessages(phone, limit) — most recent `limit`, oldest first
+//   addMessage(phone, message) / saveMessage(phone, message) / findMessageBySid(sid)
+//   addOutbound(item) / saveOutbound(item) / listPendingOutbound() / listOutbound(phone)
+//   deleteAccount(phone), deleteSnapshotsBefore(date)
+//   redactMessagesBefore(time, placeholder), deleteOutboundBefore(time)
+//   claimInboundSid(sid, time) — true the first time a sid is seen / deleteInboundSidsBefore(time)
+//   listPhones(), transaction(fn), close()
+//
+// Both adapters encrypt what they store when STORE_KEY is set (encryption.js).
 
-const DATA_PATH = path.resolve('./data.json');
+import { randomUUID } from 'crypto';
+import { cipherFromEnv } from './encryption.js';
+import { createJsonStorage } from './store-json.js';
+
+const STORE_DRIVER = process.env.STORE_DRIVER || 'json';
+
+// Enough snapshots for the 30-day baseline plus a frozen drift (see baseline.js)
+const SNAPSHOT_LIMIT = 60;
+const MESSAGE_LIMIT = 50;
 
 const DEFAULT_USER_STATE = {
-  baseline: [],
   lastMessageDate: null,
   threadOpen: false,
+  threadId: null,
+  optedOut: false,
+  paused: false,
+  pausedUntil: null,
+  detectors: {},
+  feedback: {},
+  tuning: {},
+  contact: null,
+  escalation: null,
+  contactAudit: [],
+  drift: null,
+  verification: null,
+  lastDigestDate: null,
+  deliveryFailures: { total: 0, consecutive: 0, lastFailureAt: null, lastErrorCode: null },
 };
 
-function loadData() {
-  try {
-    const raw = fs.readFileSync(DATA_PATH, 'utf8');
-    const parsed = JSON.parse(raw);
-    return {
-      users: typeof parsed?.users === 'object' && parsed.users !== null ? parsed.users : {},
-      states: typeof parsed?.states === 'object' && parsed.states !== null ? parsed.states : {},
-    };
-  } catch {
-    return { users: {}, states: {} };
+const storage = await openStorage(STORE_DRIVER, process.env.STORE_PATH);
+
+// Trusted contact's phone → the users who named them, so a contact's reply
+// doesn't mean reading every user. Built on first use, then kept current by
+// updateUserState() and deleteAccount().
+let contactIndex = null;
+const indexedContacts = new Map(); // user's phone → their contact's phone
+
+/**
+ * Open a storage adapter.
+ * @param {string} driver - 'json' or 'sqlite'
+ * @param {string} [filePath] - Data file; defaults to ./data.json or ./ember.db
+ * @param {Object|null} [cipher] - Defaults to the key in the environment
+ * @returns {Promise<Object>} storage adapter
+ */
+export async function openStorage(driver, filePath, cipher = cipherFromEnv()) {
+  if (driver === 'json') {
+    return createJsonStorage(filePath || './data.json', { cipher });
   }
+  if (driver === 'sqlite') {
+    // Loaded on demand: better-sqlite3 is an optional native dependency
+    const { createSqliteStorage } = await import('./store-sqlite.js');
+    return createSqliteStorage(filePath || './ember.db', { cipher });
+  }
+  throw new Error(`Unknown STORE_DRIVER "${driver}" (expected json or sqlite)`);
 }
 
-let db = loadData();
-
 function normalizeState(state) {
   return {
-    baseline: Array.isArray(state?.baseline) ? state.baseline : [],
     lastMessageDate: state?.lastMessageDate ?? null,
     threadOpen: Boolean(state?.threadOpen),
+    threadId: state?.threadId ?? null,
+    optedOut: Boolean(state?.optedOut),
+    paused: Boolean(state?.paused),
+    pausedUntil: state?.pausedUntil ?? null,
+    detectors: isPlainObject(state?.detectors) ? state.detectors : {},
+    feedback: isPlainObject(state?.feedback) ? state.feedback : {},
+    tuning: isPlainObject(state?.tuning) ? state.tuning : {},
+    contact: isPlainObject(state?.contact) ? state.contact : null,
+    escalation: isPlainObject(state?.escalation) ? state.escalation : null,
+    contactAudit: Array.isArray(state?.contactAudit) ? state.contactAudit : [],
+    drift: isPlainObject(state?.drift) ? state.drift : null,
+    verification: isPlainObject(state?.verification) ? state.verification : null,
+    lastDigestDate: state?.lastDigestDate ?? null,
+    deliveryFailures: {
+      ...DEFAULT_USER_STATE.deliveryFailures,
+      ...(isPlainObject(state?.deliveryFailures) ? state.deliveryFailures : {}),
+    },
   };
 }
 
-function saveData() {
-  fs.mkdirSync(path.dirname(DATA_PATH), { recursive: true });
-  fs.writeFileSync(DATA_PATH, JSON.stringify(db, null, 2));
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
 }
 
-export function registerUser(phone) {
+/**
+ * Register a phone number, or update its profile if it is already registered.
+ * @param {string} phone
+ * @param {Object} [profile]
+ * @param {string} [profile.timeZone] - IANA time zone, e.g. 'America/Chicago'
+ * @param {string} [profile.channel] - How to reach them: 'sms', 'email', 'webhook' or 'console'
+ * @param {string} [profile.email] - Address for the email channel
+ * @param {string} [profile.webhookUrl] - Endpoint for the webhook channel
+ */
+export function registerUser(phone, profile = {}) {
   if (!phone) return;
-  if (!db.users[phone]) {
-    db.users[phone] = {
+  const fields = Object.fromEntries(
+    Object.entries(profile).filter(([, value]) => value !== undefined && value !== null)
+  );
+  const existing = storage.getUser(phone);
+  if (!existing) {
+    storage.saveUser(phone, {
       phone,
       registeredAt: new Date().toISOString(),
-    };
-    saveData();
+      timeZone: null,
+      channel: null,
+      ...fields,
+    });
+  } else if (Object.keys(fields).length) {
+    updateUser(phone, fields);
   }
 }
 
+/**
+ * A registered user's profile, or null if the phone isn't registered.
+ */
+export function getUser(phone) {
+  if (!phone) return null;
+  return storage.getUser(phone);
+}
+
+/**
+ * Merge profile fields into a registered user.
+ * @returns {Object|null} the updated profile, or null if the phone isn't registered
+ */
+export function updateUser(phone, patch) {
+  const user = getUser(phone);
+  if (!user) return null;
+  const updated = { ...user, ...patch };
+  storage.saveUser(phone, updated);
+  return updated;
+}
+
+/**
+ * Load a user's state. `baseline` holds their most recent snapshots, oldest
+ * first; it is read-only here — store new days with saveSnapshot().
+ */
 export function getUserState(phone) {
-  if (!phone) return { ...DEFAULT_USER_STATE, baseline: [] };
-  return normalizeState(db.states[phone]);
+  if (!phone) return { ...normalizeState(null), baseline: [] };
+  return {
+    ...normalizeState(storage.getState(phone)),
+    baseline: storage.listSnapshots(phone, SNAPSHOT_LIMIT),
+  };
 }
 
 export function updateUserState(phone, state) {
   if (!phone) return;
-  db.states[phone] = normalizeState(state);
-  saveData();
+  const normalized = normalizeState(state);
+  storage.saveState(phone, normalized);
+  if (contactIndex) indexContact(phone, normalized.contact?.phone);
+}
+
+/**
+ * The users who have named a phone number as their trusted contact, whatever
+ * the contact's answer.
+ * @param {string} contactPhone
+ * @returns {Array<string>} user phone numbers
+ */
+export function usersWithContact(contactPhone) {
+  if (!contactIndex) {
+    contactIndex = new Map();
+    for (const phone of storage.listPhones()) {
+      indexContact(phone, normalizeState(storage.getState(phone)).contact?.phone);
+    }
+  }
+  return [...(contactIndex.get(contactPhone) ?? [])];
+}
+
+function indexContact(phone, contactPhone) {
+  const previous = indexedContacts.get(phone);
+  if (previous === contactPhone) return;
+  if (previous) {
+    const users = contactIndex.get(previous);
+    users.delete(phone);
+    if (!users.size) contactIndex.delete(previous);
+    indexedContacts.delete(phone);
+  }
+  if (!contactPhone) return;
+  indexedContacts.set(phone, contactPhone);
+  if (!contactIndex.has(contactPhone)) contactIndex.set(contactPhone, new Set());
+  contactIndex.get(contactPhone).add(phone);
+}
+
+/**
+ * Store one day's snapshot, replacing any earlier snapshot for the same date.
+ * @param {string} phone
+ * @param {Object} snapshot - Must carry `date` (YYYY-MM-DD, the user's local day)
+ * @returns {boolean} true if it replaced an existing snapshot for that date
+ */
+export function saveSnapshot(phone, snapshot) {
+  if (!phone) return false;
+  return storage.saveSnapshot(phone, snapshot);
+}
+
+/**
+ * Record one SMS in a user's conversation log.
+ * @param {string} phone
+ * @param {Object} message
+ * @param {'inbound'|'outbound'} message.direction
+ * @param {string} message.kind - 'check_in', 'reply', 'user_reply', 'command' or 'command_reply'
+ * @param {string} message.body
+ * @param {string|null} [message.sid] - Twilio message SID
+ * @param {string|null} [message.threadId] - Check-in this message belongs to;
+ *   a check-in's thread is itself
+ * @param {Object|null} [message.anomaly] - The anomaly that prompted a check-in
+ * @param {string|null} [message.channel] - How it was sent or received, e.g. 'sms'
+ * @param {string|null} [message.status] - Delivery status when sent, e.g. 'queued'
+ * @param {string|null} [message.to] - The trusted contact it went to, if not the user
+ * @returns {Object} the stored message, with `id` and `createdAt`
+ */
+export function recordMessage(phone, message) {
+  const id = randomUUID();
+  const createdAt = new Date().toISOString();
+  const status = message.status ?? null;
+  const record = {
+    id,
+    threadId: message.threadId ?? (message.kind === 'check_in' ? id : null),
+    direction: message.direction,
+    kind: message.kind,
+    body: message.body,
+    channel: message.channel ?? null,
+    sid: message.sid ?? null,
+    anomaly: message.anomaly ?? null,
+    status,
+    statusHistory: status ? [{ status, at: createdAt }] : [],
+    createdAt,
+    ...(message.to && { to: message.to }),
+  };
+  storage.addMessage(phone, record);
+  return record;
+}
+
+/**
+ * A user's recent messages, oldest first.
+ * @param {string} phone
+ * @param {string} [threadId] - Only messages from this thread
+ */
+export function listMessages(phone, threadId) {
+  if (!phone) return [];
+  const messages = storage.listMessages(phone, MESSAGE_LIMIT);
+  return threadId ? messages.filter(m => m.threadId === threadId) : messages;
+}
+
+/**
+ * Look up a logged message by its Twilio SID.
+ * @returns {{phone: string, message: Object}|null}
+ */
+export function findMessageBySid(sid) {
+  if (!sid) return null;
+  return storage.findMessageBySid(sid);
+}
+
+/**
+ * Save changes to a logged message (e.g. a delivery status update).
+ */
+export function updateMessage(phone, message) {
+  storage.saveMessage(phone, message);
+}
+
+/**
+ * Every phone number the store knows about.
+ */
+export function listPhones() {
+  return storage.listPhones();
+}
+
+/**
+ * Put an SMS in the outbound queue.
+ * @param {string} phone
+ * @param {Object} item - kind, body, sendAfter, expiresAt, plus anomaly/threadId for the message log
+ * @returns {Object} the queued item, with `id`, `status` 'pending' and `attempts` 0
+ */
+export function enqueueOutbound(phone, item) {
+  const record = {
+    ...item,
+    id: randomUUID(),
+    phone,
+    status: 'pending',
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+  };
+  storage.addOutbound(record);
+  return record;
+}
+
+/**
+ * Save a queued item's new status, attempt count or send time.
+ */
+export function saveOutbound(item) {
+  storage.saveOutbound(item);
+}
+
+/**
+ * Pending outbound items, soonest first.
+ * @param {Object} [filter]
+ * @param {string} [filter.phone] - Only this user's items
+ * @param {Date} [filter.dueBy] - Only items whose send time has come
+ */
+export function pendingOutbound({ phone, dueBy } = {}) {
+  return storage.listPendingOutbound().filter(item =>
+    (!phone || item.phone === phone) &&
+    (!dueBy || new Date(item.sendAfter) <= dueBy)
+  );
+}
+
+/**
+ * Everything stored about a phone number, unabridged: profile, state, every
+ * snapshot, every logged message and every outbound item.
+ * @returns {{profile: Object|null, state: Object|null, snapshots: Array, messages: Array, outbox: Array}}
+ */
+export function exportAccount(phone) {
+  return {
+    profile: storage.getUser(phone),
+    state: storage.getState(phone),
+    snapshots: storage.listSnapshots(phone),
+    messages: storage.listMessages(phone),
+    outbox: storage.listOutbound(phone),
+  };
+}
+
+/**
+ * Remove a phone number from every table: profile, state, snapshots, messages
+ * and outbox, including anything still waiting to be sent.
+ */
+export function deleteAccount(phone) {
+  if (!phone) return;
+  storage.deleteAccount(phone);
+  if (contactIndex) indexContact(phone, null);
+}
+
+/**
+ * Delete every user's snapshots dated before a local date.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} how many were deleted
+ */
+export function pruneSnapshots(date) {
+  return storage.deleteSnapshotsBefore(date);
+}
+
+/**
+ * Replace the body of every message logged before a time, keeping the rest of
+ * the record (kind, status, anomaly) for threads and the digest.
+ * @param {string} time - ISO 8601
+ * @param {string} placeholder - What the body becomes
+ * @returns {number} how many were redacted
+ */
+export function redactMessages(time, placeholder) {
+  return storage.redactMessagesBefore(time, placeholder);
+}
+
+/**
+ * Delete sent, failed, expired and cancelled outbox items queued before a time.
+ * @param {string} time - ISO 8601
+ * @returns {number} how many were deleted
+ */
+export function pruneOutbound(time) {
+  return storage.deleteOutboundBefore(time);
+}
+
+/**
+ * Record an inbound Twilio MessageSid as handled.
+ * @param {string} sid
+ * @returns {boolean} true the first time the sid is seen, false for a retry
+ */
+export function claimInboundSid(sid) {
+  return storage.claimInboundSid(sid, new Date().toISOString());
+}
+
+/**
+ * Forget inbound MessageSids received before a time.
+ * @param {string} time - ISO 8601
+ * @returns {number} how many were deleted
+ */
+export function pruneInboundSids(time) {
+  return storage.deleteInboundSidsBefore(time);
+}
+
+/**
+ * Run several store writes together: all of them land or none do.
+ * @param {Function} fn
+ */
+export function transaction(fn) {
+  return storage.transaction(fn);
+}
+
+/**
+ * Store a user's overrides for one detector (enabled, threshold, minSamples, direction).
+ * Settings are merged over anything previously stored for that detector.
+ * @returns {Object} all of the user's detector overrides
+ */
+export function updateDetectorSettings(phone, name, settings) {
+  if (!phone) return {};
+  const state = getUserState(phone);
+  state.detectors[name] = { ...state.detectors[name], ...settings };
+  updateUserState(phone, state);
+  return state.detectors;
 }
@@ -0,0 +1,95 @@
+// server/telemetry.js
+// Counters and histograms for GET /metrics, in the Prometheus text format.
+// In-process and reset on restart, which is what Prometheus expects. Labels
+// never include a phone number.
+
+const registry = [];
+
+// ─── Ember's metrics ─────────────────────────────────────────────────────────
+
+export const httpRequests = counter('ember_http_requests_total', 'HTTP requests, by method, route and status');
+export const syncs = counter('ember_syncs_total', 'Sync requests, by endpoint and result');
+export const anomaliesDetected = counter('ember_anomalies_total', 'Anomalies detected on /sync, by type and detector');
+export const messagesSent = counter('ember_messages_sent_total', 'Messages delivered to a channel, by kind and channel');
+export const messagesSuppressed = counter('ember_messages_suppressed_total', 'Messages not sent, by kind and reason');
+export const messagesFailed = counter('ember_messages_failed_total', 'Messages that could not be delivered, by kind and reason');
+export const llmCalls = counter('ember_llm_calls_total', 'Language model calls, by provider and outcome');
+export const llmLatency = histogram('ember_llm_latency_seconds', 'Language model call latency, by provider', [0.25, 0.5, 1, 2, 5, 10]);
+export const llmRejected = counter('ember_llm_rejected_total', 'Model outputs discarded by a guardrail, by kind');
+export const rateLimited = counter('ember_rate_limited_total', 'Requests refused with a 429, by limit');
+export const duplicateWebhooks = counter('ember_duplicate_webhooks_total', 'Twilio webhook retries ignored because the MessageSid was already handled');
+export const twilioErrors = counter('ember_twilio_errors_total', 'Twilio API errors and failed delivery reports, by source and error code');
+
+/**
+ * Everything registered, in the Prometheus text exposition format.
+ * @returns {string}
+ */
+export function renderMetrics() {
+  return registry.map(metric => metric.render()).join('');
+}
+
+// ─── Metric types ────────────────────────────────────────────────────────────
+
+function counter(name, help) {
+  const values = new Map(); // label string → count
+
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) ?? 0) + amount);
+    },
+    render() {
+      const lines = [...values].map(([labels, value]) => `${name}${labels} ${value}`);
+      return header(name, help, 'counter') + lines.map(line => `${line}\n`).join('');
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map(); // label string → { labels, counts, sum, count }
+
+  const metric = {
+    observe(labels, seconds) {
+      const key = formatLabels(labels);
+      const entry = series.get(key) ?? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    // Returns a function that records the time since it was created
+    startTimer(labels = {}) {
+      const started = process.hrtime.bigint();
+      return () => metric.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    },
+    render() {
+      const lines = [];
+      for (const [key, { labels, counts, sum, count }] of series) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${key} ${sum}`);
+        lines.push(`${name}_count${key} ${count}`);
+      }
+      return header(name, help, 'histogram') + lines.map(line => `${line}\n`).join('');
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function header(name, help, type) {
+  return `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
@@ -0,0 +1,153 @@
+// server/time.js
+// Time zone helpers. Day boundaries, weekdays and hours of day are taken in
+// the user's own IANA time zone, never the server's.
+
+export const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE
+  || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Matches the snapshot `weekday` field: 1=Sunday, 7=Saturday
+const WEEKDAYS = { Sun: 1, Mon: 2, Tue: 3, Wed: 4, Thu: 5, Fri: 6, Sat: 7 };
+
+const formatters = new Map();
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Calendar fields of an instant as seen in a time zone.
+ * @param {Date|string|number} date
+ * @param {string} [timeZone] - IANA name, e.g. 'America/New_York'
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}|null}
+ *   null if the date is invalid
+ */
+export function zonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const instant = new Date(date);
+  if (Number.isNaN(instant.getTime())) return null;
+
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(instant)
+      .map(part => [part.type, part.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+/**
+ * The local calendar date of an instant, as YYYY-MM-DD.
+ * @returns {string|null} null if the date is invalid
+ */
+export function localDate(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = zonedParts(date, timeZone);
+  if (!parts) return null;
+  const pad = value => String(value).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+/**
+ * Whether a value is a real calendar date written as YYYY-MM-DD.
+ */
+export function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+}
+
+/**
+ * The weekday of a calendar date (YYYY-MM-DD), 1=Sunday … 7=Saturday.
+ * No time zone involved: a date is already local.
+ */
+export function weekdayOfDate(date) {
+  return new Date(`${date}T12:00:00Z`).getUTCDay() + 1;
+}
+
+/**
+ * A calendar date (YYYY-MM-DD) moved by a number of days.
+ */
+export function addDays(date, days) {
+  return new Date(new Date(`${date}T12:00:00Z`).getTime() + days * 86400000).toISOString().slice(0, 10);
+}
+
+export function isSameLocalDay(a, b, timeZone = DEFAULT_TIME_ZONE) {
+  if (!a || !b) return false;
+  const day = localDate(a, timeZone);
+  return day !== null && day === localDate(b, timeZone);
+}
+
+/**
+ * Parse a local clock time like '08:30'.
+ * @returns {number|null} minutes after midnight, or null if malformed
+ */
+export function parseClockTime(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value ?? '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * The earliest moment at or after `now` inside a daily local-time window.
+ * Windows may wrap past midnight (e.g. 20:00–02:00). Arithmetic is in whole
+ * minutes, so on a DST changeover day the result can be an hour off — close
+ * enough for a delivery window.
+ *
+ * @param {Date} now
+ * @param {{start: string, end: string}} window - Local clock times, end exclusive
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+export function nextTimeInWindow(now, { start, end }, timeZone = DEFAULT_TIME_ZONE) {
+  const current = minutesIntoDay(now, timeZone);
+  const startMinutes = parseClockTime(start);
+  const endMinutes = parseClockTime(end);
+  const inside = startMinutes <= endMinutes
+    ? current >= startMinutes && current < endMinutes
+    : current >= startMinutes || current < endMinutes;
+  if (inside) return now;
+
+  const wait = (startMinutes - current + 1440) % 1440;
+  return new Date(startOfMinute(now).getTime() + wait * 60000);
+}
+
+/**
+ * The next local midnight after `now`.
+ */
+export function endOfLocalDay(now, timeZone = DEFAULT_TIME_ZONE) {
+  return new Date(startOfMinute(now).getTime() + (1440 - minutesIntoDay(now, timeZone)) * 60000);
+}
+
+function minutesIntoDay(date, timeZone) {
+  const { hour, minute } = zonedParts(date, timeZone);
+  return hour * 60 + minute;
+}
+
+function startOfMinute(date) {
+  return new Date(Math.floor(date.getTime() / 60000) * 60000);
+}
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatters.get(timeZone);
+}
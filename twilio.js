@@ -2,23 +2,34 @@
 // Sends SMS via Twilio. One message per detected anomaly, never more.
 
 import twilio from 'twilio';
-
-const client = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+import { twilioErrors } from './telemetry.js';
 
 const FROM_NUMBER = process.env.TWILIO_PHONE_NUMBER; // Your Twilio number, e.g. +15005550006
+const STATUS_CALLBACK_URL = process.env.TWILIO_STATUS_CALLBACK_URL; // e.g. https://your-ember-server.com/sms/status
+
+// Created on first send, so the server starts without Twilio credentials
+// when every user is on another channel
+let client = null;
 
 /**
  * Send a single SMS to the user.
  * @param {string} to - Recipient phone number (E.164 format, e.g. +14155552671)
  * @param {string} body - Message text
+ * @returns {Promise<{sid: string, status: string}>} Twilio's message SID and initial status
  */
 export async function sendSMS(to, body) {
-  await client.messages.create({
-    from: FROM_NUMBER,
-    to,
-    body,
-  });
+  client ??= twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+  try {
+    const message = await client.messages.create({
+      from: FROM_NUMBER,
+      to,
+      body,
+      ...(STATUS_CALLBACK_URL && { statusCallback: STATUS_CALLBACK_URL }),
+    });
+    return { sid: message.sid, status: message.status };
+  } catch (err) {
+    twilioErrors.inc({ source: 'api', code: err.code ?? err.status ?? 'network' });
+    throw err;
+  }
 }